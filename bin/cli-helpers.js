@@ -51,3 +51,31 @@ exports.getCommonOptions = () => {
     },
   };
 };
+
+exports.getImportOptions = () => {
+  return {
+    path: {
+      alias: 'p',
+      describe: 'Directory path',
+      demandOption: true,
+      type: 'string',
+    },
+    set: {
+      alias: 's',
+      describe: 'Variable to replace placeholder in schema files',
+      type: 'string',
+    },
+  };
+};
+
+exports.getLocals = (argv) => {
+  if (argv.set) {
+    const variables = Array.isArray(argv.set) ? argv.set : [argv.set];
+    return variables.reduce((acc, element) => {
+      const [key, value] = element.trim().split('=');
+      acc[key] = value;
+      return acc;
+    }, {});
+  }
+  return null;
+};
@@ -23,6 +23,12 @@ const cli = yargs
     'Synchronization previously prepared schemes',
     require('./sync')
   )
+  .command({
+    ...require('./diff'),
+    command: ['diff', 'plan'],
+    describe:
+      'Printing SQL queries required for synchronization without applying them',
+  })
   .command(
     'generate',
     'Generating schemas for existing database objects',
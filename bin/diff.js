@@ -0,0 +1,95 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const Differ = require('../lib');
+const cliHelpers = require('./cli-helpers');
+
+// exit code signaling that the database differs from the schemas
+const CHANGES_PENDING_CODE = 2;
+
+const _colorize = (query) => {
+  switch (query.split(' ', 1)[0].toLowerCase()) {
+    case 'create':
+      return chalk.green(query);
+    case 'alter':
+      return chalk.yellow(query);
+    case 'drop':
+      return chalk.red(query);
+    default:
+      return query;
+  }
+};
+
+const _groupByObject = (plan) => {
+  const groups = new Map();
+  plan.phases.forEach(({ changes }) => {
+    changes.forEach(({ object, queries }) => {
+      groups.set(object, (groups.get(object) || []).concat(queries));
+    });
+  });
+  return groups;
+};
+
+module.exports.builder = (yargs) => {
+  yargs.usage('\n$0 diff [options]').options({
+    ...cliHelpers.getCommonOptions(),
+    ...cliHelpers.getImportOptions(),
+    output: {
+      alias: 'o',
+      describe: 'Path to the file for writing SQL',
+      type: 'string',
+    },
+  });
+};
+
+module.exports.handler = (argv) => {
+  const config = cliHelpers.getConfig(argv);
+
+  const locals = cliHelpers.getLocals(argv);
+
+  const differ = new Differ(config);
+
+  const directory = path.resolve(process.cwd(), argv.path);
+
+  differ.import({ path: directory, locals });
+
+  differ
+    .plan()
+    .then((plan) => {
+      if (plan.queries.length === 0) {
+        console.info(chalk.green('Database does not need updating'));
+        process.exitCode = 0;
+        return;
+      }
+
+      _groupByObject(plan).forEach((queries, object) => {
+        console.info(chalk.bold(`-- ${object}`));
+        queries.forEach((query) => console.info(_colorize(query)));
+        console.info('');
+      });
+
+      if (argv.output) {
+        const filepath = path.resolve(process.cwd(), argv.output);
+        fs.mkdirSync(path.dirname(filepath), { recursive: true });
+        // the file keeps the execution order of the queries
+        fs.writeFileSync(filepath, plan.queries.join('\n') + '\n', 'utf-8');
+      }
+
+      console.info(
+        chalk.yellow(`${plan.queries.length} pending change(s) found`)
+      );
+      process.exitCode = CHANGES_PENDING_CODE;
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+};
@@ -14,6 +14,8 @@ const Metalize = require('metalize');
 const utils = require('../lib/utils');
 const parser = require('../lib/parser');
 const Types = require('../lib/types');
+const Table = require('../lib/objects/table');
+const ConnectionManager = require('../lib/connection-manager');
 const {
   Columns,
   Sequences,
@@ -89,15 +91,19 @@ module.exports.handler = function (argv) {
   const tables = toArray(argv.table);
   const sequences = toArray(argv.sequence);
 
-  const metalize = new Metalize({
-    dialect: 'postgres',
-    connectionConfig,
-  });
+  const metalize = new Metalize('postgres');
+  const client = ConnectionManager.getClient(connectionConfig);
 
   console.info(chalk.green('Creating schemas...'));
 
-  return metalize
-    .find({ tables, sequences })
+  return client
+    .connect()
+    .then(async () => {
+      const metadata = await metalize.find({ tables, sequences }, { client });
+      // comments and other attributes which are not received by metalize
+      await Table.complete(client, tables, metadata.tables);
+      return metadata;
+    })
     .then((metadata) => {
       const schemas = [];
       const missing = [];
@@ -167,7 +173,8 @@ module.exports.handler = function (argv) {
     .catch(async (error) => {
       console.error(error);
       process.exitCode = 1;
-    });
+    })
+    .finally(() => client.end());
 };
 
 const _prepareSequenceSchema = (metadata) => {
@@ -179,6 +186,9 @@ const _prepareSequenceSchema = (metadata) => {
 
 const _prepareTableSchema = (metadata, argv) => {
   const properties = { name: metadata.name, columns: {} };
+  if (metadata.comment) {
+    properties.comment = metadata.comment;
+  }
   metadata.columns.forEach(({ name, identity, ...attrs }) => {
     const column = utils.getDiff(attrs, Columns.getDefaults(attrs.type));
     if (identity) {
@@ -195,7 +205,11 @@ const _prepareTableSchema = (metadata, argv) => {
 
     if (metadata.primaryKey && metadata.primaryKey.columns.includes(name)) {
       delete column.nullable;
-      if (metadata.primaryKey.columns.length === 1) {
+      // the deferrable constraint cannot be described by the column
+      if (
+        metadata.primaryKey.columns.length === 1 &&
+        !metadata.primaryKey.deferrable
+      ) {
         delete metadata.primaryKey;
         column.primary = true;
       }
@@ -204,7 +218,7 @@ const _prepareTableSchema = (metadata, argv) => {
     const unique = metadata.unique.find(({ columns }) => {
       return columns.includes(name);
     });
-    if (unique && unique.columns.length === 1) {
+    if (unique && unique.columns.length === 1 && !unique.deferrable) {
       metadata.unique.splice(metadata.unique.indexOf(unique), 1);
       column.unique = true;
     }
@@ -234,11 +248,13 @@ const _prepareTableSchema = (metadata, argv) => {
     }
   });
 
-  ['foreignKeys', 'indexes', 'unique', 'checks'].forEach((name) => {
-    if (metadata[name].length) {
-      properties[name] = metadata[name].map((i) => utils.omit(['name'], i));
+  ['foreignKeys', 'indexes', 'unique', 'exclusions', 'checks'].forEach(
+    (name) => {
+      if (metadata[name].length) {
+        properties[name] = metadata[name].map((i) => utils.omit(['name'], i));
+      }
     }
-  });
+  );
 
   if (properties.foreignKeys) {
     properties.foreignKeys = properties.foreignKeys.map((foreignKey) => {
@@ -246,14 +262,29 @@ const _prepareTableSchema = (metadata, argv) => {
     });
   }
 
+  if (properties.unique) {
+    properties.unique = properties.unique.map((unique) => {
+      return utils.getDiff(unique, Constraints.DeferrableDefaults);
+    });
+  }
+
   if (properties.indexes) {
     properties.indexes = properties.indexes.map((index) => {
-      return utils.getDiff(index, Indexes.Defaults);
+      return utils.getDiff(index, Indexes.TableDefaults);
+    });
+  }
+
+  if (properties.exclusions) {
+    properties.exclusions = properties.exclusions.map((exclusion) => {
+      return utils.getDiff(exclusion, Constraints.ExclusionDefaults);
     });
   }
 
   if (metadata.primaryKey) {
-    properties.primaryKey = utils.omit(['name'], metadata.primaryKey);
+    properties.primaryKey = utils.getDiff(
+      utils.omit(['name'], metadata.primaryKey),
+      Constraints.DeferrableDefaults
+    );
   }
   return { type: 'table', properties };
 };
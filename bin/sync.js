@@ -13,21 +13,33 @@ const cliHelpers = require('./cli-helpers');
 module.exports.builder = (yargs) => {
   yargs.usage('\n$0 sync [options]').options({
     ...cliHelpers.getCommonOptions(),
-    path: {
-      alias: 'p',
-      describe: 'Directory path',
-      demandOption: true,
+    ...cliHelpers.getImportOptions(),
+    force: {
+      alias: 'f',
+      default: false,
+      describe: 'Force synchronization of tables and sequences',
+      type: 'boolean',
+    },
+    migration: {
+      alias: 'm',
+      describe:
+        'Directory for writing a migration file instead of executing changes',
       type: 'string',
     },
-    set: {
-      alias: 's',
-      describe: 'Variable to replace placeholder in schema files',
+    'migration-format': {
+      describe: 'Format of the migration file',
+      choices: ['sql', 'node-pg-migrate', 'flyway'],
+      default: 'sql',
       type: 'string',
     },
-    force: {
-      alias: 'f',
+    'migration-name': {
+      describe: 'Name of the migration file',
+      default: 'migration',
+      type: 'string',
+    },
+    'migration-down': {
+      describe: 'Writing the down migration alongside',
       default: false,
-      describe: 'Force synchronization of tables and sequences',
       type: 'boolean',
     },
     silent: {
@@ -42,16 +54,7 @@ module.exports.builder = (yargs) => {
 module.exports.handler = (argv) => {
   const config = cliHelpers.getConfig(argv);
 
-  let locals = null;
-
-  if (argv.set) {
-    const variables = Array.isArray(argv.set) ? argv.set : [argv.set];
-    locals = variables.reduce((acc, element) => {
-      const [key, value] = element.trim().split('=');
-      acc[key] = value;
-      return acc;
-    }, {});
-  }
+  const locals = cliHelpers.getLocals(argv);
 
   const differ = new Differ(config);
 
@@ -60,7 +63,17 @@ module.exports.handler = (argv) => {
   differ.import({ path: directory, locals });
 
   differ
-    .sync({ force: argv.force })
+    .sync({
+      force: argv.force,
+      migration: argv.migration
+        ? {
+            directory: path.resolve(process.cwd(), argv.migration),
+            format: argv['migration-format'],
+            name: argv['migration-name'],
+            down: argv['migration-down'],
+          }
+        : null,
+    })
     .then(() => {
       process.exitCode = 0;
     })
@@ -6,18 +6,40 @@
  */
 'use strict';
 
+const _flatten = (query) => {
+  if (Array.isArray(query)) {
+    return query.reduce((acc, query) => acc.concat(_flatten(query)), []);
+  }
+  return typeof query === 'string' ? [query] : [];
+};
+
 class ChangeStorage {
-  constructor(query) {
+  constructor(query, rollback) {
     this._querySet = new Set();
-    query && this.add(query);
+    this._rollbackQueries = [];
+    this._destructiveQueries = new Set();
+    query && this.add(query, rollback);
   }
 
-  add(query) {
+  add(query, rollback) {
     if (Array.isArray(query)) {
       query.forEach((query) => this.add(query));
     } else if (typeof query === 'string') {
       this._querySet.add(query);
     }
+    rollback && this.addRollback(rollback);
+    return this;
+  }
+
+  // queries which can lead to data loss
+  addDestructive(query, rollback) {
+    _flatten(query).forEach((query) => this._destructiveQueries.add(query));
+    return this.add(query, rollback);
+  }
+
+  // each new portion is placed before the previous ones
+  addRollback(query) {
+    this._rollbackQueries.unshift(..._flatten(query));
     return this;
   }
 
@@ -25,6 +47,14 @@ class ChangeStorage {
     return [...this._querySet];
   }
 
+  rollbackValues() {
+    return [...this._rollbackQueries];
+  }
+
+  destructiveValues() {
+    return [...this._destructiveQueries];
+  }
+
   join(separator = '\n') {
     return this.values().join(separator);
   }
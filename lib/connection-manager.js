@@ -29,6 +29,17 @@ class ConnectionManager {
     }
     return result;
   }
+
+  static async dryRun(client, callback) {
+    let result;
+    await client.query('begin');
+    try {
+      result = await callback();
+    } finally {
+      await client.query('rollback');
+    }
+    return result;
+  }
 }
 
 module.exports = ConnectionManager;
@@ -15,6 +15,7 @@ const getDefaults = () => {
     collate: null,
     formerNames: null,
     identity: false,
+    generated: null,
   };
 };
 
@@ -6,10 +6,22 @@
  */
 'use strict';
 
+exports.DeferrableDefaults = {
+  deferrable: false,
+  initiallyDeferred: false,
+};
+
 exports.ForeignKeyDefaults = {
   onUpdate: 'NO ACTION',
   onDelete: 'NO ACTION',
   match: 'SIMPLE',
+  ...exports.DeferrableDefaults,
+};
+
+exports.ExclusionDefaults = {
+  using: 'gist',
+  where: null,
+  ...exports.DeferrableDefaults,
 };
 
 exports.Types = {
@@ -17,4 +29,5 @@ exports.Types = {
   UNIQUE: 'unique',
   FOREIGN_KEY: 'foreign key',
   CHECK: 'check',
+  EXCLUSION: 'exclude',
 };
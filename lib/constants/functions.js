@@ -0,0 +1,21 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+exports.Defaults = {
+  procedure: false,
+  returns: 'void',
+  language: 'sql',
+  volatility: 'VOLATILE',
+  securityDefiner: false,
+};
+
+exports.Volatility = {
+  i: 'IMMUTABLE',
+  s: 'STABLE',
+  v: 'VOLATILE',
+};
@@ -12,6 +12,11 @@ const Constraints = require('./constraints');
 const Sequences = require('./sequences');
 const Processes = require('./processes');
 const Indexes = require('./indexes');
+const Views = require('./views');
+const Functions = require('./functions');
+const Triggers = require('./triggers');
+const Policies = require('./policies');
+const Privileges = require('./privileges');
 module.exports = {
   Columns,
   Types,
@@ -19,4 +24,9 @@ module.exports = {
   Sequences,
   Processes,
   Indexes,
+  Views,
+  Functions,
+  Triggers,
+  Policies,
+  Privileges,
 };
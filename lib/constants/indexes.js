@@ -9,3 +9,10 @@
 exports.Defaults = {
   using: 'btree',
 };
+
+exports.TableDefaults = {
+  ...exports.Defaults,
+  unique: false,
+  include: [],
+  where: null,
+};
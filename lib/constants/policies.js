@@ -0,0 +1,20 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+exports.Defaults = {
+  command: 'ALL',
+  permissive: true,
+  roles: ['public'],
+  using: null,
+  withCheck: null,
+};
+
+exports.RowLevelSecurityDefaults = {
+  enabled: true,
+  force: false,
+};
@@ -0,0 +1,22 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+// the order in which the privileges are listed in the queries
+exports.Relation = [
+  'SELECT',
+  'INSERT',
+  'UPDATE',
+  'DELETE',
+  'TRUNCATE',
+  'REFERENCES',
+  'TRIGGER',
+];
+
+exports.Sequence = ['USAGE', 'SELECT', 'UPDATE'];
+
+exports.Column = ['SELECT', 'INSERT', 'UPDATE', 'REFERENCES'];
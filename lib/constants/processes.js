@@ -7,10 +7,23 @@
 'use strict';
 
 module.exports = {
+  UPDATING_ENUM_VALUES: 'updating enum values',
+  CREATING_SCHEMAS: 'creating schemas',
+  INSTALLING_EXTENSIONS: 'installing extensions',
   UPDATING_SEQUENCES: 'updating sequences',
+  DROPPING_VIEWS: 'dropping views',
+  UPDATING_ENUMS: 'updating enums',
+  UPDATING_TYPES: 'updating types',
+  UPDATING_FUNCTIONS: 'updating functions',
   CLEANING_EXTENSIONS: 'cleaning extensions',
   UPDATING_TABLES: 'updating tables',
   ADDING_EXTENSIONS: 'adding extensions',
+  UPDATING_IDENTITIES: 'updating identities',
+  UPDATING_VIEWS: 'updating views',
+  UPDATING_PRIVILEGES: 'updating privileges',
+  DROPPING_OBJECTS: 'dropping objects',
+  VALIDATING_CONSTRAINTS: 'validating constraints',
+  BUILDING_INDEXES: 'building indexes',
   INSERTING_SEEDS: 'inserting seeds',
   UPDATING_SEQUENCE_VALUES: 'updating sequence values',
 };
@@ -0,0 +1,16 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+exports.Defaults = {
+  forEach: 'STATEMENT',
+  columns: [],
+  when: null,
+};
+
+// the order in which the server reports the events
+exports.Events = ['INSERT', 'UPDATE', 'DELETE', 'TRUNCATE'];
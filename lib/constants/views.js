@@ -0,0 +1,21 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+const Indexes = require('./indexes');
+
+exports.Defaults = {
+  materialized: false,
+  withData: true,
+  checkOption: null,
+  securityBarrier: false,
+};
+
+exports.IndexDefaults = {
+  ...Indexes.Defaults,
+  unique: false,
+};
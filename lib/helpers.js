@@ -94,8 +94,8 @@ exports.importSchemas = ({
     return data;
   };
 
-  return files.map((path) => {
-    let file = fs.readFileSync(path, 'utf-8');
+  return files.map((filePath) => {
+    let file = fs.readFileSync(filePath, 'utf-8');
     if (locals) {
       file = file
         .replace(interpolate, (match, path) => {
@@ -110,6 +110,15 @@ exports.importSchemas = ({
           return value;
         });
     }
-    return JSON.parse(file);
+    const schema = JSON.parse(file);
+    const { properties } = schema;
+    // the function body files are relative to the schema file
+    if (properties && typeof properties.bodyPath === 'string') {
+      properties.bodyPath = path.resolve(
+        path.dirname(filePath),
+        properties.bodyPath
+      );
+    }
+    return schema;
   });
 };
@@ -10,9 +10,13 @@ const chalk = require('chalk');
 const utils = require('./utils');
 const helpers = require('./helpers');
 const parser = require('./parser');
+const privileges = require('./privileges');
 const path = require('path');
 const validate = require('./validate');
 const errors = require('./errors');
+const Plan = require('./plan');
+const Migration = require('./migration');
+const { Processes } = require('./constants');
 
 const Metalize = require('metalize');
 
@@ -23,6 +27,17 @@ const ConnectionManager = require('./connection-manager');
 
 const Table = require('./objects/table');
 const Sequence = require('./objects/sequence');
+const View = require('./objects/view');
+const Enum = require('./objects/enum');
+const Domain = require('./objects/domain');
+const Composite = require('./objects/composite');
+const Routine = require('./objects/function');
+const Extension = require('./objects/extension');
+const Schema = require('./objects/schema');
+const SchemaQueryGenerator = require('./objects/schema/query-generator');
+const TableQueryGenerator = require('./objects/table/query-generator');
+const SequenceQueryGenerator = require('./objects/sequence/query-generator');
+const ChangeStorage = require('./change-storage');
 
 const _defaultOptions = {
   logging: false,
@@ -94,10 +109,38 @@ class Differ {
         Controller = Sequence;
         break;
       }
+      case 'view': {
+        Controller = View;
+        break;
+      }
+      case 'enum': {
+        Controller = Enum;
+        break;
+      }
+      case 'domain': {
+        Controller = Domain;
+        break;
+      }
+      case 'composite': {
+        Controller = Composite;
+        break;
+      }
+      case 'function': {
+        Controller = Routine;
+        break;
+      }
+      case 'extension': {
+        Controller = Extension;
+        break;
+      }
+      case 'schema': {
+        Controller = Schema;
+        break;
+      }
       default:
         throw new errors.ValidationError({
           path: 'type',
-          message: `should be one of ['table', 'sequence']`,
+          message: `should be one of ['table', 'sequence', 'view', 'enum', 'domain', 'composite', 'function', 'extension', 'schema']`,
         });
     }
     validate[type]('properties', properties);
@@ -110,33 +153,332 @@ class Differ {
     return object;
   }
 
+  _getObjectNames(options) {
+    const values = [...this.objects.values()];
+    const names = {
+      tables: values
+        .filter((object) => object.type === 'table')
+        .map((object) => object.getObjectName()),
+      sequences: values
+        .filter((object) => object.type === 'sequence')
+        .map((object) => object.getObjectName()),
+      views: values
+        .filter((object) => object.type === 'view')
+        .map((object) => object.getObjectName()),
+      enums: values
+        .filter((object) => object.type === 'enum')
+        .map((object) => object.getObjectName()),
+      domains: values
+        .filter((object) => object.type === 'domain')
+        .map((object) => object.getObjectName()),
+      composites: values
+        .filter((object) => object.type === 'composite')
+        .map((object) => object.getObjectName()),
+      functions: values
+        .filter((object) => object.type === 'function')
+        .map((object) => object.getObjectName()),
+      extensions: values
+        .filter((object) => object.type === 'extension')
+        .map((object) => object.getObjectName()),
+      schemas: values
+        .filter((object) => object.type === 'schema')
+        .map((object) => object.getObjectName()),
+    };
+    if (options && options.createSchemas) {
+      names.schemas = [
+        ...new Set([...names.schemas, ...this._getReferencedSchemas()]),
+      ];
+    }
+    if (options && options.managedSchemas) {
+      names.managedSchemas = [...options.managedSchemas];
+    }
+    return names;
+  }
+
+  // namespaces of the defined objects and the tables referenced by foreign keys
+  _getReferencedSchemas() {
+    const schemas = new Set();
+    this.objects.forEach((object) => {
+      switch (object.type) {
+        case 'schema': {
+          break;
+        }
+        case 'extension': {
+          if (object._attributes.schema) {
+            schemas.add(object._attributes.schema);
+          }
+          break;
+        }
+        case 'table': {
+          schemas.add(object._getSchemaName());
+          (object._extensions.foreignKey || []).forEach(({ references }) => {
+            const [schema = object._getSchemaName()] = parser.name(
+              references.table
+            );
+            schemas.add(helpers.removeQuotes(schema));
+          });
+          break;
+        }
+        default: {
+          schemas.add(object._getSchemaName());
+        }
+      }
+    });
+    return [...schemas];
+  }
+
+  _normalizeObjectName(name) {
+    const [schema = this._defaultSchema, objectName] = parser.name(name);
+    return `${helpers.removeQuotes(schema)}.${helpers.removeQuotes(
+      objectName
+    )}`;
+  }
+
+  async _introspect(client, names) {
+    const metadata = await this._metalize.find(names, { client });
+    await Table.complete(client, names.tables, metadata.tables);
+    metadata.views = await View.find(client, names.views);
+    metadata.enums = await Enum.find(client, names.enums);
+    metadata.domains = await Domain.find(client, names.domains);
+    metadata.composites = await Composite.find(client, names.composites);
+    metadata.functions = await Routine.find(client, names.functions);
+    metadata.extensions = await Extension.find(client, names.extensions);
+    metadata.schemas = await Schema.find(client, names.schemas);
+    metadata.privileges = await privileges.find(client, [
+      ...names.tables,
+      ...names.sequences,
+      ...names.views,
+    ]);
+    if (names.managedSchemas) {
+      const getNames = (query) => {
+        return client.query(query).then(({ rows }) => {
+          return rows.map(({ name }) => name);
+        });
+      };
+      metadata.managedObjects = {
+        tables: await getNames(
+          TableQueryGenerator.getTableNames(names.managedSchemas)
+        ),
+        sequences: await getNames(
+          SequenceQueryGenerator.getSequenceNames(names.managedSchemas)
+        ),
+      };
+    }
+    return metadata;
+  }
+
+  // the tables are dropped by one query without "cascade",
+  // so they can reference each other, but the other dependent objects stop it
+  _getOrphanDropQueries(type, names, options) {
+    const queries = new ChangeStorage();
+    if (options.allowClean[type] === true) {
+      const quotedNames = names.map(helpers.quoteObjectName);
+      queries.addDestructive(
+        type === 'table'
+          ? TableQueryGenerator.dropTable(quotedNames.join(', '))
+          : quotedNames.map(SequenceQueryGenerator.drop)
+      );
+    }
+    return queries;
+  }
+
   async _prepare(client, options) {
     const values = [...this.objects.values()];
 
     const objects = {
       tables: values.filter((object) => object.type === 'table'),
       sequences: values.filter((object) => object.type === 'sequence'),
+      views: values.filter((object) => object.type === 'view'),
+      enums: values.filter((object) => object.type === 'enum'),
+      domains: values.filter((object) => object.type === 'domain'),
+      composites: values.filter((object) => object.type === 'composite'),
+      functions: values.filter((object) => object.type === 'function'),
+      extensions: values.filter((object) => object.type === 'extension'),
+      schemas: values.filter((object) => object.type === 'schema'),
     };
 
-    const metadata = await this._metalize.find(
-      {
-        tables: objects.tables.map((t) => t.getObjectName()),
-        sequences: objects.sequences.map((s) => s.getObjectName()),
-      },
-      { client }
-    );
+    const names = this._getObjectNames(options);
+    const metadata = await this._introspect(client, names);
 
     const promises = {
-      updatingSequences: [],
-      cleaningExtensions: [],
-      updatingTables: [],
-      creatingExtensions: [],
-      updatingIdentities: [],
+      // order is important
+      // executed before the transaction
+      [Processes.UPDATING_ENUM_VALUES]: [],
+      [Processes.CREATING_SCHEMAS]: [],
+      [Processes.INSTALLING_EXTENSIONS]: [],
+      [Processes.UPDATING_SEQUENCES]: [],
+      [Processes.DROPPING_VIEWS]: [],
+      [Processes.UPDATING_ENUMS]: [],
+      [Processes.UPDATING_TYPES]: [],
+      [Processes.UPDATING_FUNCTIONS]: [],
+      [Processes.CLEANING_EXTENSIONS]: [],
+      [Processes.UPDATING_TABLES]: [],
+      [Processes.ADDING_EXTENSIONS]: [],
+      [Processes.UPDATING_IDENTITIES]: [],
+      [Processes.UPDATING_VIEWS]: [],
+      [Processes.UPDATING_PRIVILEGES]: [],
+      [Processes.DROPPING_OBJECTS]: [],
+      // executed after the transaction
+      [Processes.VALIDATING_CONSTRAINTS]: [],
+      [Processes.BUILDING_INDEXES]: [],
+    };
+
+    const addChanges = (process, object, storage) => {
+      promises[process].push(
+        Promise.resolve(storage).then((queries) => ({
+          process,
+          object: typeof object === 'string' ? object : object.getObjectName(),
+          queries: queries.values(),
+          rollbackQueries: queries.rollbackValues(),
+          destructiveQueries: queries.destructiveValues(),
+        }))
+      );
     };
 
+    const views = [];
+    for (const view of objects.views) {
+      const structure = metadata.views.get(view.getObjectName());
+      views.push({
+        view,
+        structure,
+        definition: await view._getNormalizedDefinition(
+          client,
+          structure,
+          options
+        ),
+        recreate: false,
+      });
+    }
+
+    // the server does not allow to change types of columns used by views,
+    // so such views are dropped and created again, as well as their dependent views
+    const recreatedObjects = new Set(
+      objects.tables
+        .filter((table) => {
+          const structure = metadata.tables.get(table.getObjectName());
+          return table._hasColumnTypeChanges(structure, options);
+        })
+        .map((table) => table.getObjectName())
+    );
+
+    for (const enumType of objects.enums) {
+      const structure = metadata.enums.get(enumType.getObjectName());
+      if (enumType._shouldBeRecreated(structure)) {
+        // the columns are casted to the recreated type
+        structure.columns.forEach(({ table }) => recreatedObjects.add(table));
+      }
+      addChanges(
+        Processes.UPDATING_ENUM_VALUES,
+        enumType,
+        enumType._getValueChangeQueries(structure)
+      );
+      addChanges(
+        Processes.UPDATING_ENUMS,
+        enumType,
+        enumType._getChangeQueries(structure)
+      );
+    }
+
+    for (const domain of objects.domains) {
+      const structure = metadata.domains.get(domain.getObjectName());
+      addChanges(
+        Processes.UPDATING_TYPES,
+        domain,
+        domain._getChangeQueries(client, structure, options)
+      );
+    }
+
+    for (const composite of objects.composites) {
+      const structure = metadata.composites.get(composite.getObjectName());
+      addChanges(
+        Processes.UPDATING_TYPES,
+        composite,
+        composite._getChangeQueries(structure, options)
+      );
+    }
+
+    for (const schema of objects.schemas) {
+      addChanges(
+        Processes.CREATING_SCHEMAS,
+        schema,
+        schema._getChangeQueries(metadata.schemas.get(schema.getObjectName()))
+      );
+    }
+
+    if (options.createSchemas) {
+      const defined = objects.schemas.map((schema) => schema.getObjectName());
+      names.schemas
+        .filter(
+          (name) => !defined.includes(name) && !metadata.schemas.has(name)
+        )
+        .forEach((name) => {
+          const quotedName = helpers.addQuotes(name);
+          addChanges(
+            Processes.CREATING_SCHEMAS,
+            name,
+            new ChangeStorage(
+              SchemaQueryGenerator.create(quotedName),
+              SchemaQueryGenerator.drop(quotedName)
+            )
+          );
+        });
+    }
+
+    for (const extension of objects.extensions) {
+      const structure = metadata.extensions.get(extension.getObjectName());
+      addChanges(
+        Processes.INSTALLING_EXTENSIONS,
+        extension,
+        extension._getChangeQueries(structure)
+      );
+    }
+
+    for (const routine of objects.functions) {
+      const structures = metadata.functions.get(routine.getObjectName());
+      addChanges(
+        Processes.UPDATING_FUNCTIONS,
+        routine,
+        routine._getChangeQueries(client, structures)
+      );
+    }
+
+    for (let found = true; found; ) {
+      found = false;
+      views
+        .filter((item) => !item.recreate)
+        .forEach((item) => {
+          const { view, structure, definition } = item;
+          if (
+            view._shouldBeRecreated(structure, definition, recreatedObjects)
+          ) {
+            item.recreate = true;
+            recreatedObjects.add(view.getObjectName());
+            found = true;
+          }
+        });
+    }
+
+    [...views].reverse().forEach(({ view, structure, recreate }) => {
+      addChanges(
+        Processes.DROPPING_VIEWS,
+        view,
+        view._getDropQueries(structure, options, recreate)
+      );
+    });
+
+    views.forEach(({ view, structure, definition, recreate }) => {
+      addChanges(
+        Processes.UPDATING_VIEWS,
+        view,
+        view._getCreateOrAlterQueries(structure, definition, options, recreate)
+      );
+    });
+
     for (const sequence of objects.sequences) {
       const structure = metadata.sequences.get(sequence.getObjectName());
-      promises.updatingSequences.push(
+      addChanges(
+        Processes.UPDATING_SEQUENCES,
+        sequence,
         sequence._getChangeQueries(client, structure, options)
       );
     }
@@ -148,37 +490,121 @@ class Differ {
         'index',
         'check',
         'unique',
+        'exclusion',
         'primaryKey',
         'foreignKey',
+        'trigger',
+        'policy',
       ];
+      if (table._buildsIndexesConcurrently(structure, options)) {
+        extensions.shift();
+        addChanges(
+          Processes.BUILDING_INDEXES,
+          table,
+          table._getExtensionCleanupQueries(client, 'index', structure, options)
+        );
+        addChanges(
+          Processes.BUILDING_INDEXES,
+          table,
+          table._getAddExtensionQueries(client, 'index', structure, options)
+        );
+      }
       extensions.forEach((type) => {
-        promises.creatingExtensions.push(
+        addChanges(
+          Processes.ADDING_EXTENSIONS,
+          table,
           table._getAddExtensionQueries(client, type, structure, options)
         );
       });
+      addChanges(
+        Processes.VALIDATING_CONSTRAINTS,
+        table,
+        table._getValidationQueries(client, structure, options)
+      );
       extensions.reverse().forEach((type) => {
-        promises.cleaningExtensions.push(
+        addChanges(
+          Processes.CLEANING_EXTENSIONS,
+          table,
           table._getExtensionCleanupQueries(client, type, structure, options)
         );
       });
-      promises.updatingTables.push(
+      addChanges(
+        Processes.UPDATING_TABLES,
+        table,
         table._getCreateOrAlterTableQueries(client, structure, options)
       );
-      promises.updatingIdentities.push(
+      addChanges(
+        Processes.UPDATING_TABLES,
+        table,
+        table._getPartitionQueries(client, structure, options)
+      );
+      addChanges(
+        Processes.UPDATING_TABLES,
+        table,
+        table._getRowLevelSecurityQueries(structure, options)
+      );
+      addChanges(
+        Processes.UPDATING_TABLES,
+        table,
+        table._getCommentQueries(structure, options)
+      );
+      addChanges(
+        Processes.UPDATING_IDENTITIES,
+        table,
         table._getIdentityUpdateQueries(client, structure, options)
       );
     }
 
-    const result = await Promise.all([
-      // order is important
-      ...promises.updatingSequences,
-      ...promises.cleaningExtensions,
-      ...promises.updatingTables,
-      ...promises.creatingExtensions,
-      ...promises.updatingIdentities,
-    ]);
+    [...objects.tables, ...objects.sequences, ...objects.views].forEach(
+      (object) => {
+        const name = object.getObjectName();
+        // the recreated objects lose their privileges
+        const recreated =
+          options.force ||
+          (object.type === 'view' && recreatedObjects.has(name));
+        addChanges(
+          Processes.UPDATING_PRIVILEGES,
+          object,
+          privileges.getChangeQueries(
+            object,
+            recreated ? [] : metadata.privileges.get(name) || [],
+            options
+          )
+        );
+      }
+    );
 
-    return utils.unnest(result.map((i) => i.values()));
+    if (metadata.managedObjects) {
+      const protectedObjects = options.protectedObjects.map((name) =>
+        this._normalizeObjectName(name)
+      );
+      // tables are dropped first, releasing the sequences used by them
+      [
+        ['table', names.tables, metadata.managedObjects.tables],
+        ['sequence', names.sequences, metadata.managedObjects.sequences],
+      ].forEach(([type, defined, existing]) => {
+        const orphans = existing.filter((name) => {
+          return !defined.includes(name) && !protectedObjects.includes(name);
+        });
+        if (orphans.length === 0) return;
+        const groups =
+          type === 'table' ? [orphans] : orphans.map((name) => [name]);
+        groups.forEach((names) => {
+          addChanges(
+            Processes.DROPPING_OBJECTS,
+            names.join(', '),
+            this._getOrphanDropQueries(type, names, options)
+          );
+        });
+      });
+    }
+
+    const changes = await Promise.all(utils.unnest(Object.values(promises)));
+
+    return {
+      metadata,
+      changes: changes.filter(({ queries }) => queries.length > 0),
+    };
   }
 
   async _execute(client, queries) {
@@ -191,15 +617,65 @@ class Differ {
     return results;
   }
 
-  async sync(options) {
-    options = parser.syncOptions(options);
+  // the enum values are changed in their own transaction before the main one,
+  // and the concurrent and validating queries are executed after it
+  async _executeInPhases(client, queries, phases, options, verify) {
+    const earlierQueries = Plan.getQueriesBeforeTransaction(phases);
+    const laterQueries = Plan.getQueriesAfterTransaction(phases);
+    const transactions = [
+      earlierQueries,
+      queries.slice(
+        earlierQueries.length,
+        queries.length - laterQueries.length
+      ),
+    ].filter((queries, i) => i > 0 || queries.length > 0);
+
+    for (const [i, transactionQueries] of transactions.entries()) {
+      await ConnectionManager.transaction(
+        client,
+        async () => {
+          // the first transaction makes sure the changes are still relevant
+          if (verify && i === 0) {
+            await verify();
+          }
+          return this._execute(client, transactionQueries);
+        },
+        options.transaction
+      );
+    }
+    await this._execute(client, laterQueries);
+  }
 
+  // the changes executed outside the main transaction are written to separate migrations,
+  // which are timestamped a second before or after the main one
+  _writeMigrations(changes, options) {
+    const date = new Date();
+    const { before, main, after } = Plan.splitByTransaction(changes);
+    return [
+      { transaction: 'before', changes: before, suffix: '_before', offset: -1 },
+      { transaction: 'main', changes: main, suffix: '', offset: 0 },
+      { transaction: 'after', changes: after, suffix: '_after', offset: 1 },
+    ]
+      .filter(({ changes }) => changes.length > 0)
+      .map(({ transaction, changes, suffix, offset }) => ({
+        transaction,
+        ...Migration.write({
+          ...options,
+          name: `${options.name}${suffix}`,
+          queries: Plan.getQueries(changes),
+          rollbackQueries: Plan.getRollbackQueries(changes),
+          // the concurrent queries cannot be executed inside a transaction block
+          transaction: transaction !== 'after',
+          date: new Date(date.getTime() + offset * 1000),
+        }),
+      }));
+  }
+
+  async _withClient(callback) {
     let error;
-    let preparedChanges;
+    let result;
     let client;
 
-    this._logger.info(chalk.green('Sync started'));
-
     if (this._connectionConfig instanceof Client) {
       client = this._connectionConfig;
     } else {
@@ -209,20 +685,7 @@ class Differ {
 
     try {
       await client.query('set search_path to public');
-      preparedChanges = await ConnectionManager.transaction(
-        client,
-        () => this._prepare(client, options),
-        options.transaction
-      );
-      if (preparedChanges.length === 0) {
-        this._logger.info('Database does not need updating');
-      } else {
-        await ConnectionManager.transaction(
-          client,
-          () => this._execute(client, preparedChanges),
-          options.transaction
-        );
-      }
+      result = await callback(client);
     } catch (e) {
       error = e;
     }
@@ -233,9 +696,143 @@ class Differ {
 
     if (error) throw error;
 
+    return result;
+  }
+
+  async sync(options) {
+    options = parser.syncOptions(options);
+
+    this._logger.info(chalk.green('Sync started'));
+
+    // changes are written to the migration file instead of executing them
+    const execute = options.execute && !options.migration;
+
+    let migrations = [];
+    let rollbackQueries;
+    let destructiveQueries;
+    let unvalidatedConstraints = [];
+    const preparedChanges = await this._withClient(async (client) => {
+      let changes;
+      if (execute) {
+        ({ changes } = await ConnectionManager.transaction(
+          client,
+          () => this._prepare(client, options),
+          options.transaction
+        ));
+      } else {
+        // nothing prepared on the server side must outlive the dry run
+        ({ changes } = await ConnectionManager.dryRun(client, () =>
+          this._prepare(client, options)
+        ));
+      }
+      const queries = Plan.getQueries(changes);
+      rollbackQueries = Plan.getRollbackQueries(changes);
+      destructiveQueries = Plan.getDestructiveQueries(changes);
+      if (queries.length === 0) {
+        this._logger.info('Database does not need updating');
+      } else if (options.migration) {
+        migrations = this._writeMigrations(changes, options.migration);
+        migrations.forEach(({ path }) => {
+          this._logger.info(`Migration file created: ${path}`);
+        });
+      } else if (!execute) {
+        const { before, main, after } = Plan.splitByTransaction(changes);
+        if (before.length > 0) {
+          this._logger.info('Executed in a separate transaction before:');
+          Plan.getQueries(before).forEach((query) => this._logger.log(query));
+          this._logger.info('Executed in the transaction:');
+        }
+        Plan.getQueries(main).forEach((query) => this._logger.log(query));
+        if (after.length > 0) {
+          this._logger.info('Executed after the transaction:');
+          Plan.getQueries(after).forEach((query) => this._logger.log(query));
+        }
+        this._logger.info('Changes were not applied (dry run)');
+      } else {
+        await this._executeInPhases(
+          client,
+          queries,
+          Plan.getPhases(changes),
+          options
+        );
+      }
+      const { tables } = this._getObjectNames(options);
+      if (options.notValid && tables.length > 0) {
+        const { rows } = await client.query(
+          TableQueryGenerator.getUnvalidatedConstraints(tables)
+        );
+        unvalidatedConstraints = rows;
+      }
+      return queries;
+    });
+
     this._logger.info(chalk.green('Sync successful'));
 
-    return { queries: preparedChanges };
+    const result = {
+      queries: preparedChanges,
+      rollbackQueries,
+      destructiveQueries,
+    };
+    if (options.notValid) {
+      result.unvalidatedConstraints = unvalidatedConstraints;
+    }
+    if (options.migration) {
+      const migration =
+        migrations.find(({ transaction }) => transaction === 'main') ||
+        migrations[0];
+      result.migration = migration ? migration.path : null;
+      if (options.migration.down) {
+        result.rollbackMigration = migration ? migration.rollbackPath : null;
+      }
+      result.migrations = migrations.map(({ path }) => path);
+    }
+    return result;
+  }
+
+  async plan(options) {
+    options = parser.syncOptions(options);
+
+    const names = this._getObjectNames(options);
+
+    return this._withClient(async (client) => {
+      const { metadata, changes } = await ConnectionManager.dryRun(client, () =>
+        this._prepare(client, options)
+      );
+      return Plan.create({ names, metadata, changes });
+    });
+  }
+
+  async apply(plan, options) {
+    plan = Plan.validate(plan);
+    options = parser.syncOptions(options);
+
+    this._logger.info(chalk.green('Applying the plan'));
+
+    await this._withClient(async (client) => {
+      const verify = async () => {
+        const metadata = await this._introspect(client, plan.objects);
+        if (Plan.fingerprint(metadata) !== plan.fingerprint.database) {
+          throw new errors.SyncError(
+            'The database has changed since the plan was created'
+          );
+        }
+      };
+      await this._executeInPhases(
+        client,
+        plan.queries,
+        plan.phases,
+        options,
+        verify
+      );
+    });
+
+    this._logger.info(chalk.green('Plan applied successfully'));
+
+    return {
+      queries: plan.queries,
+      rollbackQueries: plan.rollbackQueries,
+      destructiveQueries: plan.destructiveQueries,
+    };
   }
 }
 
@@ -0,0 +1,109 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const _pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const _timestamp = (date) => {
+  return [
+    date.getUTCFullYear(),
+    _pad(date.getUTCMonth() + 1),
+    _pad(date.getUTCDate()),
+    _pad(date.getUTCHours()),
+    _pad(date.getUTCMinutes()),
+    _pad(date.getUTCSeconds()),
+  ].join('');
+};
+
+const _sqlFile = (queries, rollbackQueries, transaction) => {
+  const lines = transaction
+    ? queries
+    : ['-- executed outside a transaction', ...queries];
+  return lines.join('\n') + '\n';
+};
+
+const _nodePgMigrateFile = (queries, rollbackQueries, transaction) => {
+  const toCalls = (queries) => [
+    ...(transaction ? [] : ['  pgm.noTransaction();']),
+    ...queries.map((query) => `  pgm.sql(${JSON.stringify(query)});`),
+  ];
+  const lines = ['exports.up = (pgm) => {', ...toCalls(queries), '};'];
+  if (rollbackQueries) {
+    lines.push('', 'exports.down = (pgm) => {');
+    lines.push(...toCalls(rollbackQueries), '};');
+  }
+  return lines.join('\n') + '\n';
+};
+
+// formats without 'rollbackFilename' keep the down migration in the same file,
+// 'config' is written next to the migration executed outside a transaction
+const Formats = {
+  sql: {
+    filename: (name, date) => `${_timestamp(date)}_${name}.sql`,
+    rollbackFilename: (name, date) => `${_timestamp(date)}_${name}.down.sql`,
+    content: _sqlFile,
+  },
+  'node-pg-migrate': {
+    filename: (name, date) => `${date.getTime()}_${name}.js`,
+    content: _nodePgMigrateFile,
+  },
+  flyway: {
+    filename: (name, date) => `V${_timestamp(date)}__${name}.sql`,
+    rollbackFilename: (name, date) => `U${_timestamp(date)}__${name}.sql`,
+    content: _sqlFile,
+    config: 'executeInTransaction=false\n',
+  },
+};
+
+const write = ({
+  directory,
+  format,
+  name,
+  queries,
+  rollbackQueries,
+  down = false,
+  transaction = true,
+  date = new Date(),
+}) => {
+  const { filename, rollbackFilename, content, config } = Formats[format];
+  name = name.replace(/[^\w-]+/g, '_');
+
+  fs.mkdirSync(directory, { recursive: true });
+
+  const filepath = path.join(directory, filename(name, date));
+  let rollbackPath = null;
+
+  if (down && rollbackFilename) {
+    rollbackPath = path.join(directory, rollbackFilename(name, date));
+    fs.writeFileSync(
+      rollbackPath,
+      content(rollbackQueries, null, transaction),
+      'utf-8'
+    );
+    fs.writeFileSync(filepath, content(queries, null, transaction), 'utf-8');
+  } else {
+    rollbackPath = down ? filepath : null;
+    fs.writeFileSync(
+      filepath,
+      content(queries, down ? rollbackQueries : null, transaction),
+      'utf-8'
+    );
+  }
+
+  if (!transaction && config) {
+    [filepath, rollbackPath].filter(Boolean).forEach((migrationPath) => {
+      fs.writeFileSync(`${migrationPath}.conf`, config, 'utf-8');
+    });
+  }
+
+  return { path: filepath, rollbackPath };
+};
+
+module.exports = { Formats, write };
@@ -0,0 +1,112 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+// NAMEDATALEN - 1
+const MAX_IDENTIFIER_LENGTH = 63;
+
+// port of makeObjectName() from the PostgreSQL source code
+const makeObjectName = (name1, name2, label) => {
+  let name1chars = name1.length;
+  let name2chars = name2 ? name2.length : 0;
+  const overhead = (label ? label.length + 1 : 0) + (name2 ? 1 : 0);
+
+  const availchars = MAX_IDENTIFIER_LENGTH - overhead;
+  while (name1chars + name2chars > availchars) {
+    if (name1chars > name2chars) {
+      name1chars--;
+    } else {
+      name2chars--;
+    }
+  }
+
+  let result = name1.slice(0, name1chars);
+  if (name2) {
+    result += `_${name2.slice(0, name2chars)}`;
+  }
+  if (label) {
+    result += `_${label}`;
+  }
+  return result;
+};
+
+// the numeric suffix is added on conflict, the same way as the server does it
+const chooseName = (name1, name2, label, reserved) => {
+  let name = makeObjectName(name1, name2, label);
+  for (let pass = 1; reserved.has(name); pass++) {
+    name = makeObjectName(name1, name2, `${label}${pass}`);
+  }
+  reserved.add(name);
+  return name;
+};
+
+const getReferencedColumns = (condition, columns) => {
+  return columns.filter((column) => {
+    const escaped = column.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\w."])("${escaped}"|${escaped})($|[^\\w"])`).test(
+      condition
+    );
+  });
+};
+
+// the function name or "expr" is used for the expressions, as the server does it
+const _getIndexColumnName = (element) => {
+  if (typeof element !== 'string') {
+    if (element.column) {
+      return element.column;
+    }
+    const match = element.expression.match(/^(\w+)\s*\(/);
+    return match ? match[1] : 'expr';
+  }
+  // "column" DESC, column COLLATE "C", lower(column), ((a + b))
+  const match = element.match(/^(?:"([^"]+)"|(\w+))/);
+  return match ? match[1] || match[2] : 'expr';
+};
+
+// the name that the server assigns to an unnamed index or constraint
+const getDefaultName = (table, type, attributes, { columns, reserved }) => {
+  switch (type) {
+    case 'index': {
+      const names = [...attributes.columns, ...(attributes.include || [])];
+      return chooseName(
+        table,
+        names.map(_getIndexColumnName).join('_'),
+        attributes.unique ? 'key' : 'idx',
+        reserved
+      );
+    }
+    case 'unique':
+      return chooseName(table, attributes.columns.join('_'), 'key', reserved);
+    case 'exclusion':
+      return chooseName(
+        table,
+        attributes.elements.map(_getIndexColumnName).join('_'),
+        'excl',
+        reserved
+      );
+    case 'primaryKey':
+      return chooseName(table, null, 'pkey', reserved);
+    case 'foreignKey':
+      return chooseName(table, attributes.columns.join('_'), 'fkey', reserved);
+    case 'check': {
+      const referenced = getReferencedColumns(attributes.condition, columns);
+      return chooseName(
+        table,
+        referenced.length === 1 ? referenced[0] : null,
+        'check',
+        reserved
+      );
+    }
+  }
+};
+
+module.exports = {
+  makeObjectName,
+  chooseName,
+  getDefaultName,
+  getReferencedColumns,
+};
@@ -0,0 +1,105 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+const Types = require('../../types');
+const ChangeStorage = require('../../change-storage');
+const AbstractObject = require('../abstract');
+const QueryGenerator = require('./query-generator');
+
+const parser = require('../../parser');
+const utils = require('../../utils');
+
+class Composite extends AbstractObject {
+  static async find(client, names) {
+    if (!names || names.length === 0) {
+      return new Map();
+    }
+    const { rows } = await client.query(QueryGenerator.getComposites(names));
+    return new Map(
+      rows.map(({ name, attributes }) => [
+        name,
+        {
+          attributes: attributes.map((attribute) => ({
+            ...attribute,
+            type: Types.parse(attribute.type),
+          })),
+        },
+      ])
+    );
+  }
+
+  constructor(differ, properties) {
+    super(differ, properties);
+    this.type = 'composite';
+    this._QueryGenerator = new QueryGenerator(this);
+
+    const { attributes } = parser.schema(this.type, properties);
+    this._attributes = attributes;
+  }
+
+  _getChangeQueries(structure, options) {
+    if (!structure) {
+      return new ChangeStorage(
+        this._QueryGenerator.create(),
+        this._QueryGenerator.drop()
+      );
+    }
+
+    const queries = new ChangeStorage();
+    const receivedAttributes = this._attributes.map(({ name, formerNames }) =>
+      utils.findByName(structure.attributes, name, formerNames)
+    );
+
+    if (options.allowClean.attribute) {
+      structure.attributes
+        .filter((attribute) => !receivedAttributes.includes(attribute))
+        .forEach((receivedAttribute) => {
+          queries.addDestructive(
+            this._QueryGenerator.dropAttribute(receivedAttribute),
+            this._QueryGenerator.addAttribute(receivedAttribute)
+          );
+        });
+    }
+
+    this._attributes.forEach((attribute, i) => {
+      const receivedAttribute = receivedAttributes[i];
+      if (!receivedAttribute) {
+        queries.add(
+          this._QueryGenerator.addAttribute(attribute),
+          this._QueryGenerator.dropAttribute(attribute)
+        );
+        return;
+      }
+      if (receivedAttribute.name !== attribute.name) {
+        queries.add(
+          this._QueryGenerator.renameAttribute(
+            receivedAttribute.name,
+            attribute.name
+          ),
+          this._QueryGenerator.renameAttribute(
+            attribute.name,
+            receivedAttribute.name
+          )
+        );
+      }
+      if (receivedAttribute.type.pure !== attribute.type.pure) {
+        queries.add(
+          this._QueryGenerator.alterAttribute(attribute),
+          this._QueryGenerator.alterAttribute({
+            ...receivedAttribute,
+            name: attribute.name,
+          })
+        );
+      }
+    });
+
+    return queries;
+  }
+}
+
+module.exports = Composite;
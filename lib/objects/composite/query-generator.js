@@ -0,0 +1,77 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+const helpers = require('../../helpers');
+
+class QueryGenerator {
+  constructor(composite) {
+    this.composite = composite;
+  }
+
+  static getComposites(names) {
+    names = names.map(helpers.escapeString).join(', ');
+    return `
+    select
+      n.nspname || '.' || t.typname as name,
+      array(
+        select json_build_object(
+          'name', a.attname,
+          'type', pg_catalog.format_type(a.atttypid, a.atttypmod)
+        )
+        from pg_catalog.pg_attribute a
+        where a.attrelid = t.typrelid
+          and a.attnum > 0
+          and not a.attisdropped
+        order by a.attnum
+      ) as attributes
+    from pg_catalog.pg_type t
+      join pg_catalog.pg_namespace n on n.oid = t.typnamespace
+      join pg_catalog.pg_class c on c.oid = t.typrelid
+    where t.typtype = 'c'
+      and c.relkind = 'c'
+      and n.nspname || '.' || t.typname = any(array[${names}]);`;
+  }
+
+  create() {
+    const name = this.composite.getQuotedObjectName();
+    const attributes = this.composite._attributes
+      .map(({ name, type }) => `${helpers.addQuotes(name)} ${type.pure}`)
+      .join(', ');
+    return `create type ${name} as ( ${attributes} );`;
+  }
+
+  drop() {
+    return `drop type ${this.composite.getQuotedObjectName()};`;
+  }
+
+  addAttribute({ name, type }) {
+    const composite = this.composite.getQuotedObjectName();
+    name = helpers.addQuotes(name);
+    return `alter type ${composite} add attribute ${name} ${type.pure};`;
+  }
+
+  dropAttribute({ name }) {
+    const composite = this.composite.getQuotedObjectName();
+    return `alter type ${composite} drop attribute ${helpers.addQuotes(name)};`;
+  }
+
+  renameAttribute(prev, next) {
+    const composite = this.composite.getQuotedObjectName();
+    prev = helpers.addQuotes(prev);
+    next = helpers.addQuotes(next);
+    return `alter type ${composite} rename attribute ${prev} to ${next};`;
+  }
+
+  alterAttribute({ name, type }) {
+    const composite = this.composite.getQuotedObjectName();
+    name = helpers.addQuotes(name);
+    return `alter type ${composite} alter attribute ${name} type ${type.pure};`;
+  }
+}
+
+module.exports = QueryGenerator;
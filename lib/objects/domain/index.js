@@ -0,0 +1,145 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+const Types = require('../../types');
+const ChangeStorage = require('../../change-storage');
+const AbstractObject = require('../abstract');
+const QueryGenerator = require('./query-generator');
+
+const helpers = require('../../helpers');
+const parser = require('../../parser');
+const naming = require('../../naming');
+const { SyncError } = require('../../errors');
+
+class Domain extends AbstractObject {
+  static async find(client, names) {
+    if (!names || names.length === 0) {
+      return new Map();
+    }
+    const { rows } = await client.query(QueryGenerator.getDomains(names));
+    return new Map(rows.map(({ name, ...structure }) => [name, structure]));
+  }
+
+  constructor(differ, properties) {
+    super(differ, properties);
+    this.type = 'domain';
+    this._QueryGenerator = new QueryGenerator(this);
+
+    const { attributes, checks } = parser.schema(this.type, properties);
+    this._attributes = attributes;
+    this._checks = checks;
+  }
+
+  // the default value and checks are passed through the server to compare them with the received ones
+  async _getNormalizedDefinition(client) {
+    const getConstraintName = (id) => `temp_constraint_check_${id}`;
+    const tempDomainName = helpers.addQuotes(
+      `temp_domain_${this._identifier.name}`
+    );
+    const description = this._QueryGenerator.describe({
+      checks: this._checks.map((check, i) => ({
+        ...check,
+        name: getConstraintName(i),
+      })),
+    });
+    await client.query(
+      QueryGenerator.createTempDomain(tempDomainName, description)
+    );
+    const {
+      rows: [definition],
+    } = await client.query(QueryGenerator.getTempDomain(tempDomainName));
+    await client.query(QueryGenerator.dropTempDomain(tempDomainName));
+    if (!definition) {
+      return null;
+    }
+    return {
+      default: definition.default,
+      checks: this._checks.map((check, i) => {
+        const name = getConstraintName(i);
+        return definition.checks.find((check) => check.name === name)
+          .definition;
+      }),
+    };
+  }
+
+  async _getChangeQueries(client, structure, options) {
+    if (!structure) {
+      return new ChangeStorage(
+        this._QueryGenerator.create(),
+        this._QueryGenerator.drop()
+      );
+    }
+
+    if (Types.parse(structure.type).pure !== this._attributes.type.pure) {
+      throw new SyncError(
+        `Changing the type of the domain '${this.getObjectName()}' is not supported`
+      );
+    }
+
+    const queries = new ChangeStorage();
+    const normalized = (await this._getNormalizedDefinition(client)) || {
+      default: this._attributes.default,
+      checks: this._checks.map(() => null),
+    };
+
+    if (normalized.default !== structure.default) {
+      queries.add(
+        this._QueryGenerator.setDefault(this._attributes.default),
+        this._QueryGenerator.setDefault(structure.default)
+      );
+    }
+
+    if (this._attributes.nullable !== structure.nullable) {
+      queries.add(
+        this._QueryGenerator.setNullable(this._attributes.nullable),
+        this._QueryGenerator.setNullable(structure.nullable)
+      );
+    }
+
+    const receivedChecks = [...structure.checks];
+    const addedChecks = this._checks.filter((check, i) => {
+      const index = receivedChecks.findIndex(({ name, definition }) => {
+        return (
+          definition === normalized.checks[i] &&
+          (!check.name || check.name === name)
+        );
+      });
+      if (index === -1) return true;
+      receivedChecks.splice(index, 1);
+      return false;
+    });
+
+    // the changed checks are dropped first to release their names
+    const reserved = new Set(structure.checks.map(({ name }) => name));
+    receivedChecks.forEach(({ name, definition }) => {
+      const replaced = addedChecks.some((check) => check.name === name);
+      if (replaced || options.allowClean.check === true) {
+        reserved.delete(name);
+        queries.add(
+          this._QueryGenerator.dropConstraint(name),
+          this._QueryGenerator.addConstraint(name, definition)
+        );
+      }
+    });
+
+    addedChecks.forEach(({ name }) => name && reserved.add(name));
+    addedChecks.forEach((check) => {
+      const name =
+        check.name ||
+        naming.chooseName(this._identifier.name, null, 'check', reserved);
+      queries.add(
+        this._QueryGenerator.addCheck(check),
+        this._QueryGenerator.dropConstraint(name)
+      );
+    });
+
+    return queries;
+  }
+}
+
+module.exports = Domain;
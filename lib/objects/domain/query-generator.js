@@ -0,0 +1,123 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+const helpers = require('../../helpers');
+
+const _getDomainAttributes = (type) => `
+      pg_catalog.format_type(t.typbasetype, t.typtypmod) as type,
+      t.typdefault as default,
+      not t.typnotnull as nullable,
+      array(
+        select json_build_object(
+          'name', c.conname,
+          'definition', pg_catalog.pg_get_constraintdef(c.oid, true)
+        )
+        from pg_catalog.pg_constraint c
+        where c.contypid = ${type}
+          and c.contype = 'c'
+        order by c.conname
+      ) as checks`;
+
+const _checkDescription = ({ name, condition }) => {
+  const constraint = name ? `constraint ${helpers.addQuotes(name)} ` : '';
+  return `${constraint}check (${condition})`;
+};
+
+class QueryGenerator {
+  constructor(domain) {
+    this.domain = domain;
+  }
+
+  static getDomains(names) {
+    names = names.map(helpers.escapeString).join(', ');
+    return `
+    select
+      n.nspname || '.' || t.typname as name,
+      ${_getDomainAttributes('t.oid')}
+    from pg_catalog.pg_type t
+      join pg_catalog.pg_namespace n on n.oid = t.typnamespace
+    where t.typtype = 'd'
+      and n.nspname || '.' || t.typname = any(array[${names}]);`;
+  }
+
+  // the domain is created in the exception block, so an invalid definition does not abort the transaction
+  static createTempDomain(name, description) {
+    return `
+    do $differ$
+    begin
+      create domain pg_temp.${name} ${description};
+    exception when others then null;
+    end
+    $differ$;`;
+  }
+
+  static getTempDomain(name) {
+    return `
+    select ${_getDomainAttributes('t.oid')}
+    from pg_catalog.pg_type t
+    where t.oid = pg_catalog.to_regtype('pg_temp.${name}');`;
+  }
+
+  static dropTempDomain(name) {
+    return `drop domain if exists pg_temp.${name};`;
+  }
+
+  describe({
+    attributes = this.domain._attributes,
+    checks = this.domain._checks,
+  } = {}) {
+    const chunks = [`as ${attributes.type.pure}`];
+    if (attributes.default !== null) {
+      chunks.push(`default ${attributes.default}`);
+    }
+    if (!attributes.nullable) {
+      chunks.push('not null');
+    }
+    checks.forEach((check) => chunks.push(_checkDescription(check)));
+    return chunks.join(' ');
+  }
+
+  create() {
+    const name = this.domain.getQuotedObjectName();
+    return `create domain ${name} ${this.describe()};`;
+  }
+
+  drop() {
+    return `drop domain ${this.domain.getQuotedObjectName()};`;
+  }
+
+  setDefault(value) {
+    const name = this.domain.getQuotedObjectName();
+    return value === null
+      ? `alter domain ${name} drop default;`
+      : `alter domain ${name} set default ${value};`;
+  }
+
+  setNullable(nullable) {
+    const name = this.domain.getQuotedObjectName();
+    return `alter domain ${name} ${nullable ? 'drop' : 'set'} not null;`;
+  }
+
+  addCheck(check) {
+    const name = this.domain.getQuotedObjectName();
+    return `alter domain ${name} add ${_checkDescription(check)};`;
+  }
+
+  addConstraint(name, definition) {
+    const domain = this.domain.getQuotedObjectName();
+    name = helpers.addQuotes(name);
+    return `alter domain ${domain} add constraint ${name} ${definition};`;
+  }
+
+  dropConstraint(name) {
+    const domain = this.domain.getQuotedObjectName();
+    return `alter domain ${domain} drop constraint ${helpers.addQuotes(name)};`;
+  }
+}
+
+module.exports = QueryGenerator;
@@ -0,0 +1,145 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+const util = require('util');
+const ChangeStorage = require('../../change-storage');
+const AbstractObject = require('../abstract');
+const QueryGenerator = require('./query-generator');
+
+const helpers = require('../../helpers');
+const parser = require('../../parser');
+
+class Enum extends AbstractObject {
+  static async find(client, names) {
+    if (!names || names.length === 0) {
+      return new Map();
+    }
+    const { rows } = await client.query(QueryGenerator.getEnums(names));
+    return new Map(
+      rows.map(({ name, values, columns }) => [name, { values, columns }])
+    );
+  }
+
+  constructor(differ, properties) {
+    super(differ, properties);
+    this.type = 'enum';
+    this._QueryGenerator = new QueryGenerator(this);
+
+    const { values } = parser.schema(this.type, properties);
+    this._values = values;
+  }
+
+  _getValueNames() {
+    return this._values.map(({ name }) => name);
+  }
+
+  // the received values after renaming
+  _getRenames(structure) {
+    const values = [...structure.values];
+    const renames = [];
+    this._values.forEach(({ name, formerNames }) => {
+      if (values.includes(name) || !formerNames) return;
+      const prev = formerNames.find((formerName) =>
+        values.includes(formerName)
+      );
+      if (prev) {
+        values[values.indexOf(prev)] = name;
+        renames.push({ prev, next: name });
+      }
+    });
+    return { values, renames };
+  }
+
+  // values cannot be removed or reordered without recreating the type
+  _shouldBeRecreated(structure) {
+    if (!structure) {
+      return false;
+    }
+    const names = this._getValueNames();
+    const { values } = this._getRenames(structure);
+    return !util.isDeepStrictEqual(
+      values,
+      names.filter((name) => values.includes(name))
+    );
+  }
+
+  _getRecreateQueries(structure, values) {
+    const tempName = `temp_${this._identifier.name}`;
+    const schema = helpers.addQuotes(this._getSchemaName());
+    return [
+      this._QueryGenerator.rename(tempName),
+      this._QueryGenerator.create(values),
+      structure.columns.map((column) =>
+        this._QueryGenerator.castColumn(column)
+      ),
+      this._QueryGenerator.drop(`${schema}.${helpers.addQuotes(tempName)}`),
+    ];
+  }
+
+  _getRenameQueries(structure) {
+    const queries = new ChangeStorage();
+    this._getRenames(structure).renames.forEach(({ prev, next }) => {
+      queries.add(
+        this._QueryGenerator.renameValue(prev, next),
+        this._QueryGenerator.renameValue(next, prev)
+      );
+    });
+    return queries;
+  }
+
+  _getChangeQueries(structure) {
+    const names = this._getValueNames();
+    if (!structure) {
+      return new ChangeStorage(
+        this._QueryGenerator.create(names),
+        this._QueryGenerator.drop()
+      );
+    }
+
+    if (this._shouldBeRecreated(structure)) {
+      const { values } = this._getRenames(structure);
+      return this._getRenameQueries(structure).add(
+        this._getRecreateQueries(structure, names),
+        this._getRecreateQueries(structure, values)
+      );
+    }
+
+    return new ChangeStorage();
+  }
+
+  // the added value cannot be used in the transaction which adds it,
+  // so the values of the existing type are changed before the transaction
+  _getValueChangeQueries(structure) {
+    if (!structure || this._shouldBeRecreated(structure)) {
+      return new ChangeStorage();
+    }
+
+    const names = this._getValueNames();
+    const queries = this._getRenameQueries(structure);
+    const { values } = this._getRenames(structure);
+    const added = [];
+    const current = [...values];
+    names.forEach((name, i) => {
+      if (current.includes(name)) return;
+      const position =
+        i > 0
+          ? { after: names[i - 1] }
+          : { before: names.find((name) => current.includes(name)) };
+      added.push(this._QueryGenerator.addValue(name, position));
+      current.splice(i, 0, name);
+    });
+    if (added.length > 0) {
+      // the values cannot be dropped, so the previous type is recreated
+      queries.add(added, this._getRecreateQueries(structure, values));
+    }
+
+    return queries;
+  }
+}
+
+module.exports = Enum;
@@ -0,0 +1,102 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+const helpers = require('../../helpers');
+
+class QueryGenerator {
+  constructor(enumType) {
+    this.enum = enumType;
+  }
+
+  static getEnums(names) {
+    names = names.map(helpers.escapeString).join(', ');
+    return `
+    select
+      n.nspname || '.' || t.typname as name,
+      array(
+        select e.enumlabel::text
+        from pg_catalog.pg_enum e
+        where e.enumtypid = t.oid
+        order by e.enumsortorder
+      ) as values,
+      array(
+        select json_build_object(
+          'table', cn.nspname || '.' || c.relname,
+          'name', a.attname,
+          'array', a.atttypid = t.typarray,
+          'default', pg_catalog.pg_get_expr(d.adbin, d.adrelid)
+        )
+        from pg_catalog.pg_attribute a
+          join pg_catalog.pg_class c on c.oid = a.attrelid
+          join pg_catalog.pg_namespace cn on cn.oid = c.relnamespace
+          left join pg_catalog.pg_attrdef d
+            on d.adrelid = a.attrelid and d.adnum = a.attnum
+        where a.atttypid in (t.oid, t.typarray)
+          and c.relkind in ('r', 'p')
+          and not a.attisdropped
+        order by c.oid, a.attnum
+      ) as columns
+    from pg_catalog.pg_type t
+      join pg_catalog.pg_namespace n on n.oid = t.typnamespace
+    where t.typtype = 'e'
+      and n.nspname || '.' || t.typname = any(array[${names}]);`;
+  }
+
+  create(values) {
+    const name = this.enum.getQuotedObjectName();
+    values = values.map(helpers.escapeString).join(', ');
+    return `create type ${name} as enum (${values});`;
+  }
+
+  drop(name = this.enum.getQuotedObjectName()) {
+    return `drop type ${name};`;
+  }
+
+  rename(name) {
+    const enumName = this.enum.getQuotedObjectName();
+    return `alter type ${enumName} rename to ${helpers.addQuotes(name)};`;
+  }
+
+  addValue(value, { before, after } = {}) {
+    const name = this.enum.getQuotedObjectName();
+    let position = '';
+    if (after) {
+      position = ` after ${helpers.escapeString(after)}`;
+    } else if (before) {
+      position = ` before ${helpers.escapeString(before)}`;
+    }
+    value = helpers.escapeString(value);
+    return `alter type ${name} add value ${value}${position};`;
+  }
+
+  renameValue(prev, next) {
+    const name = this.enum.getQuotedObjectName();
+    prev = helpers.escapeString(prev);
+    next = helpers.escapeString(next);
+    return `alter type ${name} rename value ${prev} to ${next};`;
+  }
+
+  castColumn(column) {
+    const name = this.enum.getQuotedObjectName();
+    const table = helpers.quoteObjectName(column.table);
+    const columnName = helpers.addQuotes(column.name);
+    const type = column.array ? `${name}[]` : name;
+    const using = `${columnName}::text${column.array ? '[]' : ''}::${type}`;
+    const alter = `alter table ${table} alter column ${columnName}`;
+    if (column.default === null) {
+      return `${alter} type ${type} using ${using};`;
+    }
+    return [
+      `${alter} drop default;`,
+      `${alter} type ${type} using ${using};`,
+      `${alter} set default ${column.default};`,
+    ];
+  }
+}
+
+module.exports = QueryGenerator;
@@ -0,0 +1,75 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+const ChangeStorage = require('../../change-storage');
+const AbstractObject = require('../abstract');
+const QueryGenerator = require('./query-generator');
+
+const helpers = require('../../helpers');
+const parser = require('../../parser');
+
+class Extension extends AbstractObject {
+  static async find(client, names) {
+    if (!names || names.length === 0) {
+      return new Map();
+    }
+    const { rows } = await client.query(QueryGenerator.getExtensions(names));
+    return new Map(
+      rows.map(({ name, schema, version }) => [
+        name,
+        { attributes: { schema, version } },
+      ])
+    );
+  }
+
+  constructor(differ, properties) {
+    super(differ, properties);
+    this.type = 'extension';
+    this._QueryGenerator = new QueryGenerator(this);
+
+    const { attributes } = parser.schema(this.type, properties);
+    this._attributes = attributes;
+  }
+
+  // extensions do not belong to any schema
+  getObjectName() {
+    return this.properties.name;
+  }
+
+  getQuotedObjectName() {
+    return helpers.addQuotes(this.properties.name);
+  }
+
+  _getChangeQueries(structure) {
+    if (!structure) {
+      return new ChangeStorage(
+        this._QueryGenerator.create(),
+        this._QueryGenerator.drop()
+      );
+    }
+
+    const queries = new ChangeStorage();
+    const { schema, version } = this._attributes;
+    // the undefined schema and version are not compared with the installed ones
+    if (schema && schema !== structure.attributes.schema) {
+      queries.add(
+        this._QueryGenerator.setSchema(schema),
+        this._QueryGenerator.setSchema(structure.attributes.schema)
+      );
+    }
+    if (version && version !== structure.attributes.version) {
+      queries.add(
+        this._QueryGenerator.update(version),
+        this._QueryGenerator.update(structure.attributes.version)
+      );
+    }
+    return queries;
+  }
+}
+
+module.exports = Extension;
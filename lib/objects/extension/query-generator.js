@@ -0,0 +1,58 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+const helpers = require('../../helpers');
+
+class QueryGenerator {
+  constructor(extension) {
+    this.extension = extension;
+  }
+
+  static getExtensions(names) {
+    names = names.map(helpers.escapeString).join(', ');
+    return `
+    select
+      e.extname as name,
+      n.nspname as schema,
+      e.extversion as version
+    from pg_catalog.pg_extension e
+      join pg_catalog.pg_namespace n on n.oid = e.extnamespace
+    where e.extname = any(array[${names}]);`;
+  }
+
+  create() {
+    const name = this.extension.getQuotedObjectName();
+    const { schema, version } = this.extension._attributes;
+    const chunks = [`create extension ${name}`];
+    if (schema) {
+      chunks.push(`schema ${helpers.addQuotes(schema)}`);
+    }
+    if (version) {
+      chunks.push(`version ${helpers.escapeString(version)}`);
+    }
+    return `${chunks.join(' ')};`;
+  }
+
+  drop() {
+    return `drop extension ${this.extension.getQuotedObjectName()};`;
+  }
+
+  setSchema(schema) {
+    const name = this.extension.getQuotedObjectName();
+    return `alter extension ${name} set schema ${helpers.addQuotes(schema)};`;
+  }
+
+  update(version) {
+    const name = this.extension.getQuotedObjectName();
+    return `alter extension ${name} update to ${helpers.escapeString(
+      version
+    )};`;
+  }
+}
+
+module.exports = QueryGenerator;
@@ -0,0 +1,127 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+const ChangeStorage = require('../../change-storage');
+const AbstractObject = require('../abstract');
+const QueryGenerator = require('./query-generator');
+
+const utils = require('../../utils');
+const helpers = require('../../helpers');
+const parser = require('../../parser');
+
+const _signatureKeys = ['procedure', 'arguments', 'returns'];
+const _attributeKeys = ['language', 'volatility', 'securityDefiner', 'body'];
+
+class Routine extends AbstractObject {
+  static async find(client, names) {
+    if (!names || names.length === 0) {
+      return new Map();
+    }
+    const { rows } = await client.query(QueryGenerator.getFunctions(names));
+    // overloaded functions share the name
+    return rows.reduce((acc, { name, ...structure }) => {
+      return acc.set(name, [...(acc.get(name) || []), structure]);
+    }, new Map());
+  }
+
+  constructor(differ, properties) {
+    super(differ, properties);
+    this.type = 'function';
+    this._QueryGenerator = new QueryGenerator(this);
+
+    const {
+      attributes,
+      arguments: args,
+      body,
+    } = parser.schema(this.type, properties);
+    this._attributes = attributes;
+    this._arguments = args;
+    this._body = body;
+  }
+
+  _getIdentity() {
+    return {
+      procedure: this._attributes.procedure,
+      identity: this._arguments
+        .filter(({ mode }) => mode !== 'OUT')
+        .map(({ type }) => type)
+        .join(', '),
+    };
+  }
+
+  // the signature is passed through the server to compare it with the received one
+  async _getNormalizedDefinition(client) {
+    const tempName = `temp_function_${this._identifier.name}`;
+    await client.query(
+      QueryGenerator.createTempFunction(
+        this._QueryGenerator.create({
+          name: `pg_temp.${helpers.addQuotes(tempName)}`,
+          replace: false,
+        })
+      )
+    );
+    const {
+      rows: [definition = null],
+    } = await client.query(QueryGenerator.getTempFunction(tempName));
+    await client.query(QueryGenerator.dropTempFunction(tempName));
+    return definition;
+  }
+
+  _getCreateQueries() {
+    return new ChangeStorage(
+      this._QueryGenerator.create(),
+      this._QueryGenerator.drop(this._getIdentity())
+    );
+  }
+
+  async _getChangeQueries(client, structures) {
+    if (!structures) {
+      return this._getCreateQueries();
+    }
+
+    const definition = await this._getNormalizedDefinition(client);
+    let structure =
+      definition &&
+      structures.find(({ identity }) => identity === definition.identity);
+    if (!structure) {
+      // the signature can be changed only if the function is not overloaded
+      if (structures.length > 1) {
+        return this._getCreateQueries();
+      }
+      structure = structures[0];
+    }
+
+    const prevDefinition = `${structure.definition.trim()};`;
+    const signatureChanged =
+      !definition ||
+      !utils.isEmptyObject(
+        utils.getDiff(
+          utils.pick(_signatureKeys, definition),
+          utils.pick(_signatureKeys, structure)
+        )
+      );
+
+    if (signatureChanged) {
+      return new ChangeStorage(
+        [this._QueryGenerator.drop(structure), this._QueryGenerator.create()],
+        [this._QueryGenerator.drop(this._getIdentity()), prevDefinition]
+      );
+    }
+
+    const diff = utils.getDiff(
+      utils.pick(_attributeKeys, definition),
+      utils.pick(_attributeKeys, structure)
+    );
+    if (utils.isEmptyObject(diff)) {
+      return new ChangeStorage();
+    }
+    return new ChangeStorage(this._QueryGenerator.create(), prevDefinition);
+  }
+}
+
+module.exports = Routine;
@@ -0,0 +1,119 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+const helpers = require('../../helpers');
+
+const _getFunctionAttributes = () => `
+      p.prokind = 'p' as procedure,
+      pg_catalog.pg_get_function_arguments(p.oid) as arguments,
+      pg_catalog.pg_get_function_identity_arguments(p.oid) as identity,
+      pg_catalog.pg_get_function_result(p.oid) as returns,
+      l.lanname as language,
+      p.provolatile as volatility,
+      p.prosecdef as "securityDefiner",
+      p.prosrc as body`;
+
+const _argumentDescription = ({ name, type, mode, default: value }) => {
+  const chunks = mode === 'IN' ? [] : [mode.toLowerCase()];
+  if (name) {
+    chunks.push(helpers.addQuotes(name));
+  }
+  chunks.push(type);
+  if (value !== null) {
+    chunks.push(`default ${value}`);
+  }
+  return chunks.join(' ');
+};
+
+// the dollar quote which does not occur in the body
+const _quoteBody = (body, tag) => {
+  let quote = `$${tag}$`;
+  for (let i = 1; body.includes(quote); i++) {
+    quote = `$${tag}${i}$`;
+  }
+  return `${quote}${body}${quote}`;
+};
+
+class QueryGenerator {
+  constructor(func) {
+    this.function = func;
+  }
+
+  static getFunctions(names) {
+    names = names.map(helpers.escapeString).join(', ');
+    return `
+    select
+      n.nspname || '.' || p.proname as name,
+      ${_getFunctionAttributes()},
+      pg_catalog.pg_get_functiondef(p.oid) as definition
+    from pg_catalog.pg_proc p
+      join pg_catalog.pg_namespace n on n.oid = p.pronamespace
+      join pg_catalog.pg_language l on l.oid = p.prolang
+    where p.prokind in ('f', 'p')
+      and n.nspname || '.' || p.proname = any(array[${names}])
+    order by p.oid;`;
+  }
+
+  // the function is created in the exception block, so an invalid definition does not abort the transaction
+  static createTempFunction(query) {
+    return `
+    do $differ$
+    declare
+      check_function_bodies text := current_setting('check_function_bodies');
+    begin
+      perform set_config('check_function_bodies', 'off', true);
+      ${query}
+      perform set_config('check_function_bodies', check_function_bodies, true);
+    exception when others then null;
+    end
+    $differ$;`;
+  }
+
+  static getTempFunction(name) {
+    return `
+    select ${_getFunctionAttributes()}
+    from pg_catalog.pg_proc p
+      join pg_catalog.pg_language l on l.oid = p.prolang
+    where p.pronamespace = pg_catalog.pg_my_temp_schema()
+      and p.proname = ${helpers.escapeString(name)};`;
+  }
+
+  static dropTempFunction(name) {
+    return `drop routine if exists pg_temp.${helpers.addQuotes(name)};`;
+  }
+
+  create({ name = this.function.getQuotedObjectName(), replace = true } = {}) {
+    const { _attributes: attributes, _arguments, _body } = this.function;
+    const type = attributes.procedure ? 'procedure' : 'function';
+    const chunks = [
+      `create${replace ? ' or replace' : ''} ${type} ${name}(${_arguments
+        .map(_argumentDescription)
+        .join(', ')})`,
+    ];
+    if (!attributes.procedure) {
+      chunks.push(`returns ${attributes.returns}`);
+    }
+    chunks.push(`language ${attributes.language}`);
+    if (!attributes.procedure) {
+      chunks.push(attributes.volatility.toLowerCase());
+    }
+    if (attributes.securityDefiner) {
+      chunks.push('security definer');
+    }
+    chunks.push(`as ${_quoteBody(_body, type)}`);
+    return `${chunks.join(' ')};`;
+  }
+
+  drop(structure) {
+    const name = this.function.getQuotedObjectName();
+    const type = structure.procedure ? 'procedure' : 'function';
+    return `drop ${type} ${name}(${structure.identity});`;
+  }
+}
+
+module.exports = QueryGenerator;
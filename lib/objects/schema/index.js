@@ -0,0 +1,74 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+const ChangeStorage = require('../../change-storage');
+const AbstractObject = require('../abstract');
+const QueryGenerator = require('./query-generator');
+
+const helpers = require('../../helpers');
+const parser = require('../../parser');
+
+class Schema extends AbstractObject {
+  static async find(client, names) {
+    if (!names || names.length === 0) {
+      return new Map();
+    }
+    const { rows } = await client.query(QueryGenerator.getSchemas(names));
+    return new Map(
+      rows.map(({ name, owner, comment }) => [
+        name,
+        { attributes: { owner, comment } },
+      ])
+    );
+  }
+
+  constructor(differ, properties) {
+    super(differ, properties);
+    this.type = 'schema';
+    this._QueryGenerator = new QueryGenerator(this);
+
+    const { attributes } = parser.schema(this.type, properties);
+    this._attributes = attributes;
+  }
+
+  getObjectName() {
+    return this._identifier.name;
+  }
+
+  getQuotedObjectName() {
+    return helpers.addQuotes(this._identifier.name);
+  }
+
+  _getChangeQueries(structure) {
+    if (!structure) {
+      return new ChangeStorage(
+        this._QueryGenerator.create(),
+        this._QueryGenerator.drop()
+      );
+    }
+
+    const queries = new ChangeStorage();
+    const { owner, comment } = this._attributes;
+    // the undefined owner and comment are not compared with the existing ones
+    if (owner && owner !== structure.attributes.owner) {
+      queries.add(
+        this._QueryGenerator.setOwner(owner),
+        this._QueryGenerator.setOwner(structure.attributes.owner)
+      );
+    }
+    if (comment && comment !== structure.attributes.comment) {
+      queries.add(
+        this._QueryGenerator.comment(comment),
+        this._QueryGenerator.comment(structure.attributes.comment)
+      );
+    }
+    return queries;
+  }
+}
+
+module.exports = Schema;
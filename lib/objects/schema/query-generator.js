@@ -0,0 +1,62 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+const helpers = require('../../helpers');
+
+class QueryGenerator {
+  constructor(schema) {
+    this.schema = schema;
+  }
+
+  static getSchemas(names) {
+    names = names.map(helpers.escapeString).join(', ');
+    return `
+    select
+      n.nspname as name,
+      pg_catalog.pg_get_userbyid(n.nspowner) as owner,
+      pg_catalog.obj_description(n.oid, 'pg_namespace') as comment
+    from pg_catalog.pg_namespace n
+    where n.nspname = any(array[${names}]);`;
+  }
+
+  static create(name, owner) {
+    const authorization = owner
+      ? ` authorization ${helpers.addQuotes(owner)}`
+      : '';
+    return `create schema if not exists ${name}${authorization};`;
+  }
+
+  static drop(name) {
+    return `drop schema ${name};`;
+  }
+
+  create() {
+    const { owner, comment } = this.schema._attributes;
+    return [
+      QueryGenerator.create(this.schema.getQuotedObjectName(), owner),
+      comment ? this.comment(comment) : null,
+    ];
+  }
+
+  drop() {
+    return QueryGenerator.drop(this.schema.getQuotedObjectName());
+  }
+
+  setOwner(owner) {
+    const name = this.schema.getQuotedObjectName();
+    return `alter schema ${name} owner to ${helpers.addQuotes(owner)};`;
+  }
+
+  comment(comment) {
+    const name = this.schema.getQuotedObjectName();
+    const value = comment === null ? 'null' : helpers.escapeString(comment);
+    return `comment on schema ${name} is ${value};`;
+  }
+}
+
+module.exports = QueryGenerator;
@@ -9,6 +9,7 @@
 const ChangeStorage = require('../../change-storage');
 const utils = require('../../utils');
 const parser = require('../../parser');
+const privileges = require('../../privileges');
 const QueryGenerator = require('./query-generator');
 const AbstractObject = require('../abstract');
 
@@ -27,6 +28,7 @@ class Sequence extends AbstractObject {
 
     const { attributes } = parser.schema(this.type, properties);
     this._attributes = attributes;
+    this._privileges = privileges.parse(this.type, properties.grants);
   }
 
   async _getChangeQueries(client, structure, options) {
@@ -57,9 +59,17 @@ class Sequence extends AbstractObject {
           }
         }
 
-        return queries.add(this._QueryGenerator.alter(diff));
+        return queries.add(
+          this._QueryGenerator.alter(diff),
+          this._QueryGenerator.alter(
+            utils.pick(Object.keys(utils.omit(['restart'], diff)), structure)
+          )
+        );
       } else {
-        return new ChangeStorage(this._QueryGenerator.create());
+        return new ChangeStorage(
+          this._QueryGenerator.create(),
+          QueryGenerator.drop(this.getQuotedObjectName())
+        );
       }
     }
   }
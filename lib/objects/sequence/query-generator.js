@@ -20,6 +20,24 @@ class QueryGenerator {
     return `select last_value as "value" from ${name};`;
   }
 
+  // sequences owned by serial or identity columns are skipped
+  static getSequenceNames(schemas) {
+    schemas = schemas.map(helpers.escapeString).join(', ');
+    return `
+    select n.nspname || '.' || c.relname as name
+    from pg_catalog.pg_class c
+      join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+    where c.relkind = 'S'
+      and n.nspname = any(array[${schemas}])
+      and not exists (
+        select 1 from pg_catalog.pg_depend d
+        where d.classid = 'pg_catalog.pg_class'::regclass
+          and d.objid = c.oid
+          and d.deptype in ('a', 'i')
+      )
+    order by name;`;
+  }
+
   static setAttributes(properties) {
     return ['increment', 'min', 'max', 'start', 'cycle']
       .map((key) => {
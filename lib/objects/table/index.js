@@ -16,6 +16,10 @@ const SequenceQueryGenerator = require('../sequence/query-generator');
 const utils = require('../../utils');
 const helpers = require('../../helpers');
 const parser = require('../../parser');
+const naming = require('../../naming');
+const privileges = require('../../privileges');
+const { Triggers, Constraints } = require('../../constants');
+const { SyncError } = require('../../errors');
 
 const _getReceivedExtensions = (structure) => {
   return structure
@@ -25,10 +29,87 @@ const _getReceivedExtensions = (structure) => {
         foreignKey: structure.foreignKeys,
         index: structure.indexes,
         unique: structure.unique,
+        exclusion: structure.exclusions,
+        trigger: structure.triggers,
+        policy: structure.policies,
       }
     : {};
 };
 
+// triggers and policies do not share the namespace of indexes and constraints
+const _getReceivedExtensionNames = (structure) => {
+  return utils
+    .unnest(
+      Object.values(
+        utils.omit(['trigger', 'policy'], _getReceivedExtensions(structure))
+      )
+    )
+    .map(({ name }) => name);
+};
+
+// the index of the plain columns is compared as it is, without the server
+const _isPlainIndex = (index) => {
+  return (
+    !index.where &&
+    index.columns.every((element) => {
+      return typeof element === 'string' && /^[^\s"()]+$/.test(element);
+    })
+  );
+};
+
+// the text of the index or exclusion element, which is searched for the columns
+const _elementText = (element) => {
+  if (typeof element === 'string') {
+    return element;
+  }
+  return element.column ? `"${element.column}"` : element.expression;
+};
+
+// the expressions of the row, which may reference the columns
+const _getExpressions = (type, row) => {
+  switch (type) {
+    case 'check': {
+      return [row.condition];
+    }
+    case 'index': {
+      return [
+        ...row.columns.map(_elementText),
+        ...row.include.map((column) => `"${column}"`),
+        row.where,
+      ];
+    }
+    case 'exclusion': {
+      return [...row.elements.map(_elementText), row.where];
+    }
+  }
+};
+
+// the server keeps only "public" if it is listed with other roles
+const _preparePolicyRows = (rows) => {
+  return rows.map((row) => ({
+    ...row,
+    roles: row.roles.includes('public') ? ['public'] : [...row.roles].sort(),
+  }));
+};
+
+const _deferrableTypes = ['unique', 'primaryKey', 'foreignKey', 'exclusion'];
+
+// the constraint which differs only by "deferrable" or "initially deferred"
+const _findDeferrabilityChange = (attributes, extensions) => {
+  const keys = ['name', ...Object.keys(Constraints.DeferrableDefaults)];
+  const props = utils.omit(keys, attributes);
+  return extensions.find((extension) => {
+    return (
+      (!attributes.name ||
+        !extension.name ||
+        attributes.name === extension.name) &&
+      utils.findWhere(props, [utils.omit(keys, extension)]) &&
+      (attributes.deferrable !== extension.deferrable ||
+        attributes.initiallyDeferred !== extension.initiallyDeferred)
+    );
+  });
+};
+
 const _getColumnAttributeDiff = (column, receivedColumn) => {
   const diff = utils.getDiff(
     {
@@ -37,6 +118,7 @@ const _getColumnAttributeDiff = (column, receivedColumn) => {
       nullable: column.nullable,
       default: column.default,
       collate: column.collate,
+      generated: column.generated && column.generated.expression,
     },
     {
       name: receivedColumn.name,
@@ -44,6 +126,8 @@ const _getColumnAttributeDiff = (column, receivedColumn) => {
       nullable: receivedColumn.nullable,
       default: receivedColumn.default,
       collate: receivedColumn.collate,
+      generated:
+        receivedColumn.generated && receivedColumn.generated.expression,
     }
   );
   if (diff.name) {
@@ -55,19 +139,201 @@ const _getColumnAttributeDiff = (column, receivedColumn) => {
       next: column.type,
     };
   }
+  if (utils.has('generated', diff)) {
+    diff.generated = {
+      prev: receivedColumn.generated,
+      next: column.generated,
+    };
+  }
   return diff;
 };
 
 class Table extends AbstractObject {
+  // adds the attributes which are not received by metalize
+  static async complete(client, names, structures) {
+    if (names.length === 0) {
+      return;
+    }
+
+    // "not null" of the domain is reported as "not null" of its columns
+    const { rows: columns } = await client.query(
+      QueryGenerator.getDomainNotNullColumns(names)
+    );
+    columns.forEach(({ table, column }) => {
+      const { columns } = structures.get(table);
+      columns.find(({ name }) => name === column).nullable = true;
+    });
+
+    structures.forEach((structure) => {
+      if (structure) {
+        structure.indexes = [];
+        structure.invalidIndexes = [];
+        structure.unvalidatedConstraints = [];
+        structure.exclusions = [];
+        structure.referencingForeignKeys = [];
+        [
+          ...structure.unique,
+          ...structure.foreignKeys,
+          structure.primaryKey,
+        ].forEach((constraint) => {
+          if (constraint) {
+            Object.assign(constraint, Constraints.DeferrableDefaults);
+          }
+        });
+        structure.triggers = [];
+        structure.policies = [];
+        structure.partitionBy = null;
+        structure.partitions = [];
+        structure.columns.forEach((column) => {
+          column.generated = null;
+        });
+      }
+    });
+
+    // metalize does not parse the partial, covering and unique indexes
+    const { rows: indexes } = await client.query(
+      QueryGenerator.getIndexes(names)
+    );
+    indexes.forEach(({ table, name, definition, valid }) => {
+      const structure = structures.get(table);
+      // the leftovers of the failed concurrent builds
+      if (!valid) {
+        structure.invalidIndexes.push(name);
+        return;
+      }
+      structure.indexes.push({ name, ...parser.indexDefinition(definition) });
+    });
+
+    const { rows: exclusions } = await client.query(
+      QueryGenerator.getExclusions(names)
+    );
+    exclusions.forEach(({ table, name, definition }) => {
+      structures.get(table).exclusions.push({
+        name,
+        ...parser.exclusionDefinition(definition),
+      });
+    });
+
+    const { rows: deferrable } = await client.query(
+      QueryGenerator.getDeferrableConstraints(names)
+    );
+    deferrable.forEach(({ table, name, initiallyDeferred }) => {
+      const { unique, foreignKeys, primaryKey } = structures.get(table);
+      const constraint = [...unique, ...foreignKeys, primaryKey].find(
+        (constraint) => constraint && constraint.name === name
+      );
+      Object.assign(constraint, { deferrable: true, initiallyDeferred });
+    });
+
+    const { rows: referencing } = await client.query(
+      QueryGenerator.getReferencingForeignKeys(names)
+    );
+    referencing.forEach(({ table, ...foreignKey }) => {
+      structures.get(table).referencingForeignKeys.push(foreignKey);
+    });
+
+    const { rows: unvalidated } = await client.query(
+      QueryGenerator.getUnvalidatedConstraints(names)
+    );
+    unvalidated.forEach(({ table, name }) => {
+      structures.get(table).unvalidatedConstraints.push(name);
+    });
+
+    const { rows: generatedColumns } = await client.query(
+      QueryGenerator.getGeneratedColumns(names)
+    );
+    generatedColumns.forEach(({ table, column, expression }) => {
+      const { columns } = structures.get(table);
+      columns.find(({ name }) => name === column).generated = {
+        expression,
+        stored: true,
+      };
+    });
+
+    const { rows: triggers } = await client.query(
+      QueryGenerator.getTriggers(names)
+    );
+    triggers.forEach(({ table, definition, ...trigger }) => {
+      structures.get(table).triggers.push({
+        ...trigger,
+        when: parser.triggerCondition(definition),
+      });
+    });
+
+    const { rows: policies } = await client.query(
+      QueryGenerator.getPolicies(names)
+    );
+    policies.forEach(({ table, ...policy }) => {
+      structures.get(table).policies.push({
+        ...policy,
+        roles: policy.roles.sort(),
+      });
+    });
+
+    const { rows: comments } = await client.query(
+      QueryGenerator.getComments(names)
+    );
+    comments.forEach(({ table, column, comment }) => {
+      const structure = structures.get(table);
+      if (column) {
+        structure.columns.find(({ name }) => name === column).comment = comment;
+      } else {
+        structure.comment = comment;
+      }
+    });
+
+    const { rows: partitioning } = await client.query(
+      QueryGenerator.getPartitioning(names)
+    );
+    partitioning.forEach(({ table, definition }) => {
+      structures.get(table).partitionBy = definition;
+    });
+
+    const { rows: partitions } = await client.query(
+      QueryGenerator.getPartitions(names)
+    );
+    partitions.forEach(({ table, name, bounds }) => {
+      structures.get(table).partitions.push({
+        name,
+        ...parser.partitionBounds(bounds),
+      });
+    });
+
+    const { rows: rowLevelSecurity } = await client.query(
+      QueryGenerator.getRowLevelSecurity(names)
+    );
+    rowLevelSecurity.forEach(({ table, enabled, force }) => {
+      structures.get(table).rowLevelSecurity = { enabled, force };
+    });
+  }
+
   constructor(differ, properties) {
     super(differ, properties);
     this.type = 'table';
 
-    const { columns, extensions } = parser.schema(this.type, properties);
+    const { columns, extensions, partitionBy, partitions, rowLevelSecurity } =
+      parser.schema(this.type, properties);
     this._columns = columns;
     this._extensions = extensions;
+    this._partitionBy = partitionBy;
+    this._partitions = partitions;
+    this._rowLevelSecurity = rowLevelSecurity;
+    this._privileges = privileges.parse(this.type, properties.grants);
 
-    this._normalizeCheckRows = utils.once(this._normalizeCheckRows);
+    // the rows differ while the columns they reference are pending
+    const byRows = (client, rows) => JSON.stringify(rows);
+    this._normalizeCheckRows = utils.memoize(this._normalizeCheckRows, byRows);
+    this._normalizeIndexRows = utils.memoize(this._normalizeIndexRows, byRows);
+    this._normalizeExclusionRows = utils.memoize(
+      this._normalizeExclusionRows,
+      byRows
+    );
+    this._normalizeTriggerRows = utils.once(this._normalizeTriggerRows);
+    this._normalizePolicyRows = utils.once(this._normalizePolicyRows);
+    this._normalizePartitioning = utils.once(this._normalizePartitioning);
+    this._normalizeGeneratedColumns = utils.once(
+      this._normalizeGeneratedColumns
+    );
     this._QueryGenerator = new QueryGenerator(this);
   }
 
@@ -75,6 +341,23 @@ class Table extends AbstractObject {
     return options.force || !structure;
   }
 
+  _hasColumnTypeChanges(structure, options) {
+    if (Table.willBeCreated(structure, options)) {
+      return false;
+    }
+    return this._columns.some((column) => {
+      const receivedColumn = utils.findByName(
+        structure.columns,
+        column.name,
+        column.formerNames
+      );
+      return (
+        receivedColumn &&
+        Types.parse(receivedColumn.type).pure !== column.type.pure
+      );
+    });
+  }
+
   _getCreateOrAlterTableQueries(client, structure, options) {
     if (options.force) {
       return new ChangeStorage(
@@ -82,23 +365,26 @@ class Table extends AbstractObject {
       );
     } else {
       if (structure) {
-        return this._getColumnChangeQueries(client, structure);
+        return this._getColumnChangeQueries(client, structure, options);
       } else {
         return new ChangeStorage(
-          this._QueryGenerator.createTable({ force: false })
+          this._QueryGenerator.createTable({ force: false }),
+          this._QueryGenerator.dropTable()
         );
       }
     }
   }
 
-  async _getColumnChangeQueries(client, structure) {
+  async _getColumnChangeQueries(client, structure, options) {
     const receivedColumns = structure.columns.map((column) => ({
       ...column,
       type: Types.parse(column.type),
       default: parser.literalDefaultValue(column.default),
     }));
+    const columns = await this._normalizeGeneratedColumns(client);
+    const notNullChecks = this._getNotNullChecks(structure, options);
     const queries = new ChangeStorage();
-    const promises = this._columns.map(async (column) => {
+    const promises = columns.map(async (column) => {
       const receivedColumn = utils.findByName(
         receivedColumns,
         column.name,
@@ -106,17 +392,78 @@ class Table extends AbstractObject {
       );
       if (receivedColumn) {
         if (!column.identity && receivedColumn.identity) {
-          queries.add(this._QueryGenerator.dropIdentify(column));
+          queries.add(
+            this._QueryGenerator.dropIdentify(column),
+            this._QueryGenerator.addIdentify(
+              receivedColumn,
+              receivedColumn.identity
+            )
+          );
         }
         const diff = _getColumnAttributeDiff(column, receivedColumn);
-        queries.add(this._QueryGenerator.alterColumn(column, diff));
+        // the column with the changed expression is added again,
+        // which drops its indexes and constraints as well
+        if (diff.generated && diff.generated.prev && diff.generated.next) {
+          if (options.allowClean.column !== true) {
+            throw new SyncError(
+              `The expression of the generated column '${
+                column.name
+              }' of the table '${this.getObjectName()}' can be changed only with 'allowClean.columns', since the column is added again`
+            );
+          }
+          queries.addDestructive(
+            this._QueryGenerator.alterColumn(column, diff),
+            this._QueryGenerator.alterColumn(
+              receivedColumn,
+              _getColumnAttributeDiff(receivedColumn, column),
+              false
+            )
+          );
+          return;
+        }
+        // "set not null" is executed after the validation of the check
+        const checked = notNullChecks.some((check) => check.column === column);
+        queries.add(
+          this._QueryGenerator.alterColumn(
+            column,
+            checked ? utils.omit(['nullable'], diff) : diff
+          ),
+          this._QueryGenerator.alterColumn(
+            receivedColumn,
+            _getColumnAttributeDiff(receivedColumn, column),
+            false
+          )
+        );
+        if (checked) {
+          queries.add(this._QueryGenerator.fillNullValues(column));
+        }
       } else {
-        queries.add(this._QueryGenerator.addColumn(column));
+        queries.add(
+          this._QueryGenerator.addColumn(column),
+          this._QueryGenerator.dropColumn(column)
+        );
       }
     });
 
     await Promise.all(promises);
 
+    if (options.allowClean.column === true) {
+      receivedColumns.forEach((receivedColumn) => {
+        const defined = this._columns.some(({ name, formerNames }) => {
+          return (
+            name === receivedColumn.name ||
+            (formerNames && formerNames.includes(receivedColumn.name))
+          );
+        });
+        if (!defined) {
+          queries.addDestructive(
+            this._QueryGenerator.dropColumn(receivedColumn),
+            this._QueryGenerator.addColumn(receivedColumn)
+          );
+        }
+      });
+    }
+
     return queries;
   }
 
@@ -134,6 +481,39 @@ class Table extends AbstractObject {
     });
   }
 
+  // the expressions are normalized by the generated columns of the temporary table
+  async _normalizeGeneratedColumns(client) {
+    if (this._columns.every(({ generated }) => !generated)) {
+      return this._columns;
+    }
+
+    const tempTableName = helpers.addQuotes(
+      `temp_generated_${this._identifier.name}`
+    );
+    const queries = new ChangeStorage(
+      this._QueryGenerator.createTable({
+        table: tempTableName,
+        temp: true,
+        generated: true,
+      })
+    );
+    await client.query(queries.join());
+
+    const { rows: expressions } = await client.query(
+      this._QueryGenerator.getGeneratedExpressions(tempTableName)
+    );
+    await client.query(`drop table ${tempTableName};`);
+    return this._columns.map((column) => {
+      const row = expressions.find(({ name }) => name === column.name);
+      return row
+        ? {
+            ...column,
+            generated: { ...column.generated, expression: row.expression },
+          }
+        : column;
+    });
+  }
+
   async _normalizeCheckRows(client, rows) {
     if (!rows || rows.length === 0) {
       return rows;
@@ -145,6 +525,9 @@ class Table extends AbstractObject {
     const createQueries = new ChangeStorage(
       this._QueryGenerator.createTable({
         table: tempTableName,
+        columns: this._getReferencedColumns(
+          utils.unnest(rows.map((row) => _getExpressions('check', row)))
+        ),
         temp: true,
       })
     );
@@ -172,19 +555,441 @@ class Table extends AbstractObject {
         }));
       });
     await client.query(`drop table ${tempTableName};`);
-    return rows.map((_, i) => {
+    return rows.map((row, i) => {
       const nameTempConstraint = getConstraintName(i);
       const { condition } = normalizedChecks.find(
         ({ name }) => name === nameTempConstraint
       );
-      return { condition };
+      return { ...row, condition };
+    });
+  }
+
+  // the definitions are normalized by the indexes of the temporary table
+  async _normalizeIndexRows(client, rows) {
+    if (!rows || rows.every(_isPlainIndex)) {
+      return rows;
+    }
+
+    const tempTableName = `temp_indexes_${this._identifier.name}`;
+    // index names share the namespace of the temporary tables
+    const getIndexName = (id) => {
+      return naming.makeObjectName(tempTableName, null, String(id));
+    };
+
+    const queries = new ChangeStorage(
+      this._QueryGenerator.createTable({
+        table: helpers.addQuotes(tempTableName),
+        columns: this._getReferencedColumns(
+          utils.unnest(
+            rows
+              .filter((row) => !_isPlainIndex(row))
+              .map((row) => _getExpressions('index', row))
+          )
+        ),
+        temp: true,
+      })
+    );
+    rows.forEach((row, i) => {
+      if (_isPlainIndex(row)) return;
+      queries.add(
+        this._QueryGenerator.createIndex(
+          { ...row, name: getIndexName(i) },
+          { table: helpers.addQuotes(tempTableName) }
+        )
+      );
+    });
+    await client.query(queries.join());
+
+    const { rows: definitions } = await client.query(
+      this._QueryGenerator.getIndexDefinitions(helpers.addQuotes(tempTableName))
+    );
+    await client.query(`drop table ${helpers.addQuotes(tempTableName)};`);
+    return rows.map((row, i) => {
+      if (_isPlainIndex(row)) return row;
+      const { definition } = definitions.find(
+        ({ name }) => name === getIndexName(i)
+      );
+      return { ...row, ...parser.indexDefinition(definition) };
+    });
+  }
+
+  // the definitions are normalized by the constraints of the temporary table
+  async _normalizeExclusionRows(client, rows) {
+    if (!rows || rows.length === 0) {
+      return rows;
+    }
+
+    const tempTableName = `temp_exclusions_${this._identifier.name}`;
+    // the indexes of the constraints share the namespace of the temporary tables
+    const getConstraintName = (id) => {
+      return naming.makeObjectName(tempTableName, null, String(id));
+    };
+
+    const queries = new ChangeStorage(
+      this._QueryGenerator.createTable({
+        table: helpers.addQuotes(tempTableName),
+        columns: this._getReferencedColumns(
+          utils.unnest(rows.map((row) => _getExpressions('exclusion', row)))
+        ),
+        temp: true,
+      })
+    );
+    rows.forEach((row, i) => {
+      queries.add(
+        this._QueryGenerator.createConstraint({
+          type: 'exclusion',
+          table: helpers.addQuotes(tempTableName),
+          attributes: { ...row, name: getConstraintName(i) },
+        })
+      );
+    });
+    await client.query(queries.join());
+
+    const { rows: definitions } = await client.query(
+      this._QueryGenerator.getExclusionDefinitions(
+        helpers.addQuotes(tempTableName)
+      )
+    );
+    await client.query(`drop table ${helpers.addQuotes(tempTableName)};`);
+    return rows.map((row, i) => {
+      const { definition } = definitions.find(
+        ({ name }) => name === getConstraintName(i)
+      );
+      return { ...row, ...parser.exclusionDefinition(definition) };
     });
   }
 
-  _getNormalizedExtensions(client, type) {
+  // the rows referencing the columns added or retyped by the same sync are not normalized,
+  // since the types of the columns may not exist yet
+  async _normalizeExpressionRows(client, type, rows, structure) {
+    const normalize = {
+      check: this._normalizeCheckRows,
+      index: this._normalizeIndexRows,
+      exclusion: this._normalizeExclusionRows,
+    }[type];
+    const pendingColumns = this._getPendingColumns(structure);
+    const isPending = (row) => {
+      return (
+        naming.getReferencedColumns(
+          _getExpressions(type, row).filter(Boolean).join(' '),
+          pendingColumns
+        ).length > 0
+      );
+    };
+
+    const normalizedRows = await normalize.call(
+      this,
+      client,
+      rows.filter((row) => !isPending(row))
+    );
+    let i = 0;
+    return rows.map((row) => (isPending(row) ? row : normalizedRows[i++]));
+  }
+
+  _getPendingColumns(structure) {
+    return this._columns
+      .filter((column) => {
+        const receivedColumn = utils.findByName(
+          structure.columns,
+          column.name,
+          column.formerNames
+        );
+        return (
+          !receivedColumn ||
+          Types.parse(receivedColumn.type).pure !== column.type.pure
+        );
+      })
+      .map(({ name }) => name);
+  }
+
+  // the functions are qualified and the events are ordered the way the server reports them
+  _prepareTriggerRows(rows) {
+    const schema = this._getSchemaName();
+    return rows.map((row) => {
+      const [functionSchema = schema, functionName] = parser.name(row.function);
+      return {
+        ...row,
+        events: Triggers.Events.filter((event) => row.events.includes(event)),
+        function: `${helpers.removeQuotes(
+          functionSchema
+        )}.${helpers.removeQuotes(functionName)}`,
+      };
+    });
+  }
+
+  // the temporary tables get only the referenced columns,
+  // so the types of the other columns are not required to exist
+  _getReferencedColumns(expressions) {
+    const names = naming.getReferencedColumns(
+      expressions.filter(Boolean).join(' '),
+      this._columns.map(({ name }) => name)
+    );
+    return this._columns.filter(({ name }) => names.includes(name));
+  }
+
+  // the condition is normalized by the trigger of the temporary table,
+  // which calls the built-in function instead of the one that may not exist yet
+  async _normalizeTriggerRows(client, rows) {
+    if (!rows || rows.length === 0) {
+      return rows;
+    }
+
+    rows = this._prepareTriggerRows(rows);
+    if (rows.every(({ when }) => !when)) {
+      return rows;
+    }
+
+    const getTriggerName = (id) => `temp_trigger_${id}`;
+    const tempTableName = helpers.addQuotes(
+      `temp_triggers_${this._identifier.name}`
+    );
+
+    const queries = new ChangeStorage(
+      this._QueryGenerator.createTable({
+        table: tempTableName,
+        temp: true,
+      })
+    );
+    rows.forEach((row, i) => {
+      if (row.when) {
+        queries.add(
+          this._QueryGenerator.createTrigger(
+            {
+              ...row,
+              name: getTriggerName(i),
+              function: 'pg_catalog.suppress_redundant_updates_trigger',
+            },
+            tempTableName
+          )
+        );
+      }
+    });
+    await client.query(queries.join());
+
+    const { rows: definitions } = await client.query(
+      this._QueryGenerator.getTriggerDefinitions(tempTableName)
+    );
+    await client.query(`drop table ${tempTableName};`);
+    return rows.map((row, i) => {
+      const tempTrigger = definitions.find(
+        ({ name }) => name === getTriggerName(i)
+      );
+      return tempTrigger
+        ? { ...row, when: parser.triggerCondition(tempTrigger.definition) }
+        : row;
+    });
+  }
+
+  // the expressions are normalized by the policies of the temporary table
+  async _normalizePolicyRows(client, rows) {
+    if (!rows || rows.length === 0) {
+      return rows;
+    }
+
+    rows = _preparePolicyRows(rows);
+
+    const getPolicyName = (id) => `temp_policy_${id}`;
+    const tempTableName = helpers.addQuotes(
+      `temp_policies_${this._identifier.name}`
+    );
+
+    const queries = new ChangeStorage(
+      this._QueryGenerator.createTable({
+        table: tempTableName,
+        temp: true,
+      })
+    );
+    rows.forEach((row, i) => {
+      queries.add(
+        this._QueryGenerator.createPolicy(
+          { ...row, name: getPolicyName(i), roles: ['public'] },
+          tempTableName
+        )
+      );
+    });
+    await client.query(queries.join());
+
+    const { rows: expressions } = await client.query(
+      this._QueryGenerator.getPolicyExpressions(tempTableName)
+    );
+    await client.query(`drop table ${tempTableName};`);
+    return rows.map((row, i) => {
+      const { using, withCheck } = expressions.find(
+        ({ name }) => name === getPolicyName(i)
+      );
+      return { ...row, using, withCheck };
+    });
+  }
+
+  // partitions are created in the schema of the table by default
+  _getPartitions() {
+    const schema = this._getSchemaName();
+    return this._partitions.map((partition) => {
+      const [partitionSchema = schema, name] = parser.name(partition.name);
+      return {
+        ...partition,
+        name: `${helpers.removeQuotes(partitionSchema)}.${helpers.removeQuotes(
+          name
+        )}`,
+      };
+    });
+  }
+
+  // the partition key and bounds are normalized by the temporary partitioned table
+  async _normalizePartitioning(client) {
+    const tempTableName = `temp_partitions_${this._identifier.name}`;
+    const getPartitionName = (id) => `${tempTableName}_${id}`;
+    const partitions = this._getPartitions();
+
+    const queries = new ChangeStorage(
+      this._QueryGenerator.createTable({
+        table: helpers.addQuotes(tempTableName),
+        temp: true,
+        partitionBy: this._partitionBy,
+      })
+    );
+    partitions.forEach((partition, i) => {
+      queries.add(
+        this._QueryGenerator.createPartition(
+          // the tables of "pg_temp" schema are temporary
+          { ...partition, name: `pg_temp.${getPartitionName(i)}` },
+          helpers.addQuotes(tempTableName)
+        )
+      );
+    });
+    await client.query(queries.join());
+
+    const {
+      rows: [{ definition, bounds }],
+    } = await client.query(
+      this._QueryGenerator.getPartitionDefinitions(
+        helpers.addQuotes(tempTableName)
+      )
+    );
+    await client.query(`drop table ${helpers.addQuotes(tempTableName)};`);
+    return {
+      partitionBy: definition,
+      partitions: partitions.map((partition, i) => ({
+        ...partition,
+        ...parser.partitionBounds(bounds[getPartitionName(i)]),
+      })),
+    };
+  }
+
+  async _getPartitionQueries(client, structure, options) {
+    const queries = new ChangeStorage();
+
+    if (Table.willBeCreated(structure, options)) {
+      // the table removal drops its partitions as well
+      this._getPartitions().forEach((partition) => {
+        queries.add(this._QueryGenerator.createPartition(partition));
+      });
+      return queries;
+    }
+
+    const { partitionBy, partitions } = this._partitionBy
+      ? await this._normalizePartitioning(client)
+      : { partitionBy: null, partitions: [] };
+
+    if (partitionBy !== structure.partitionBy) {
+      throw new SyncError(
+        `The partitioning of the existing table '${this.getObjectName()}' cannot be changed`
+      );
+    }
+
+    const missing = partitions.filter(({ name }) => {
+      return !structure.partitions.some((received) => received.name === name);
+    });
+    const existingTables =
+      missing.length > 0
+        ? await client
+            .query(
+              QueryGenerator.getExistingTables(missing.map(({ name }) => name))
+            )
+            .then(({ rows }) => rows.map(({ name }) => name))
+        : [];
+
+    partitions.forEach((partition) => {
+      const received = structure.partitions.find(
+        ({ name }) => name === partition.name
+      );
+      if (!received) {
+        if (existingTables.includes(partition.name)) {
+          queries.add(
+            this._QueryGenerator.attachPartition(partition),
+            this._QueryGenerator.detachPartition(partition.name)
+          );
+        } else {
+          queries.add(
+            this._QueryGenerator.createPartition(partition),
+            this._QueryGenerator.dropPartition(partition.name)
+          );
+        }
+      } else if (
+        received.bounds !== partition.bounds ||
+        received.default !== partition.default
+      ) {
+        queries.add(
+          [
+            this._QueryGenerator.detachPartition(received.name),
+            this._QueryGenerator.attachPartition(partition),
+          ],
+          [
+            this._QueryGenerator.detachPartition(partition.name),
+            this._QueryGenerator.attachPartition(received),
+          ]
+        );
+      }
+    });
+
+    // 'true' is the same as 'detach', the detached partitions keep their data
+    const clean = options.allowClean.partition;
+    if (clean) {
+      structure.partitions
+        .filter(({ name }) => !partitions.some((item) => item.name === name))
+        .forEach((received) => {
+          if (clean === 'drop') {
+            queries.addDestructive(
+              this._QueryGenerator.dropPartition(received.name),
+              this._QueryGenerator.createPartition(received)
+            );
+          } else {
+            queries.add(
+              this._QueryGenerator.detachPartition(received.name),
+              this._QueryGenerator.attachPartition(received)
+            );
+          }
+        });
+    }
+
+    return queries;
+  }
+
+  // the new table can use the types and schemas created by the same sync,
+  // so its extensions are not normalized by the server
+  _getNormalizedExtensions(client, type, structure, options) {
+    const created = Table.willBeCreated(structure, options);
+    const rows = this._extensions[type];
     switch (type) {
-      case 'check': {
-        return this._normalizeCheckRows(client, this._extensions.check);
+      case 'check':
+      case 'index':
+      case 'exclusion': {
+        if (created || !rows) {
+          return rows;
+        }
+        return this._normalizeExpressionRows(client, type, rows, structure);
+      }
+      case 'trigger': {
+        if (created) {
+          return rows && this._prepareTriggerRows(rows);
+        }
+        return this._normalizeTriggerRows(client, rows);
+      }
+      case 'policy': {
+        if (created) {
+          return rows && _preparePolicyRows(rows);
+        }
+        return this._normalizePolicyRows(client, rows);
       }
       case 'foreignKey': {
         return this._normalizeForeignKeys(this._extensions[type]);
@@ -195,11 +1000,162 @@ class Table extends AbstractObject {
     }
   }
 
-  _addExtension(type, attributes) {
+  // the indexes of the existing tables can be built without locking writes,
+  // but not inside the transaction and not for the partitioned tables
+  _buildsIndexesConcurrently(structure, options) {
+    return Boolean(
+      options.concurrently &&
+        !Table.willBeCreated(structure, options) &&
+        !structure.partitionBy
+    );
+  }
+
+  // the checks and foreign keys of the existing tables are added as "not valid"
+  // and validated after the transaction, but not for the partitioned tables
+  _validatesSeparately(structure, options) {
+    return Boolean(
+      options.notValid &&
+        !Table.willBeCreated(structure, options) &&
+        !structure.partitionBy
+    );
+  }
+
+  // the columns which are set "not null" with the help of the temporary check
+  _getNotNullChecks(structure, options) {
+    if (!this._validatesSeparately(structure, options)) {
+      return [];
+    }
+    return this._columns
+      .filter((column) => {
+        const receivedColumn = utils.findByName(
+          structure.columns,
+          column.name,
+          column.formerNames
+        );
+        return (
+          receivedColumn &&
+          receivedColumn.nullable &&
+          !column.nullable &&
+          !column.identity
+        );
+      })
+      .map((column) => {
+        const name = naming.makeObjectName(
+          this._identifier.name,
+          column.name,
+          'not_null'
+        );
+        // the check is left by the failed validation
+        const exists = structure.checks.some((check) => check.name === name);
+        return { column, name, exists };
+      });
+  }
+
+  _addExtension(
+    type,
+    attributes,
+    { concurrently = false, notValid = false } = {}
+  ) {
     if (type === 'index') {
-      return this._QueryGenerator.createIndex(attributes);
+      return this._QueryGenerator.createIndex(attributes, { concurrently });
     }
-    return this._QueryGenerator.createConstraint({ type, attributes });
+    if (type === 'trigger') {
+      return this._QueryGenerator.createTrigger(attributes);
+    }
+    if (type === 'policy') {
+      return this._QueryGenerator.createPolicy(attributes);
+    }
+    return this._QueryGenerator.createConstraint({
+      type,
+      attributes,
+      notValid,
+    });
+  }
+
+  // the server does not allow the foreign keys to reference a deferrable key,
+  // so the referenced key cannot be recreated as deferrable
+  _checkReferencingForeignKeys(structure, key) {
+    const foreignKey = structure.referencingForeignKeys.find(
+      (foreignKey) => foreignKey.key === key
+    );
+    if (foreignKey) {
+      throw new SyncError(
+        `The constraint '${key}' of the table '${this.getObjectName()}' cannot be deferrable, since it is referenced by the foreign key '${
+          foreignKey.name
+        }' of the table '${foreignKey.foreignTable}'`
+      );
+    }
+  }
+
+  _removeExtension(type, name, concurrently = false) {
+    if (type === 'index') {
+      return this._QueryGenerator.removeIndex(name, concurrently);
+    }
+    if (type === 'trigger') {
+      return this._QueryGenerator.dropTrigger(name);
+    }
+    if (type === 'policy') {
+      return this._QueryGenerator.dropPolicy(name);
+    }
+    return this._QueryGenerator.removeConstraint(name);
+  }
+
+  _getRowLevelSecurityQueries(structure, options) {
+    const queries = new ChangeStorage();
+    if (!this._rowLevelSecurity) {
+      return queries;
+    }
+
+    const created = Table.willBeCreated(structure, options);
+    const received = created
+      ? { enabled: false, force: false }
+      : structure.rowLevelSecurity;
+    Object.entries(utils.getDiff(this._rowLevelSecurity, received)).forEach(
+      ([key, value]) => {
+        queries.add(
+          this._QueryGenerator.alterRowLevelSecurity(key, value),
+          // the table removal reverts it as well
+          created
+            ? null
+            : this._QueryGenerator.alterRowLevelSecurity(key, received[key])
+        );
+      }
+    );
+    return queries;
+  }
+
+  // the comments are compared only if they are defined
+  _getCommentQueries(structure, options) {
+    const queries = new ChangeStorage();
+    const created = Table.willBeCreated(structure, options);
+    const addComment = (comment, receivedComment, column) => {
+      comment = comment || null;
+      receivedComment = created ? null : receivedComment || null;
+      if (comment !== receivedComment) {
+        queries.add(
+          this._QueryGenerator.comment(comment, column),
+          // the table removal reverts it as well
+          created ? null : this._QueryGenerator.comment(receivedComment, column)
+        );
+      }
+    };
+
+    if (utils.has('comment', this.properties)) {
+      addComment(this.properties.comment, structure && structure.comment);
+    }
+    this._columns
+      .filter((column) => utils.has('comment', column))
+      .forEach((column) => {
+        const receivedColumn =
+          !created &&
+          utils.findByName(structure.columns, column.name, column.formerNames);
+        addComment(
+          column.comment,
+          receivedColumn && receivedColumn.comment,
+          column.name
+        );
+      });
+    return queries;
   }
 
   async _getIdentityUpdateQueries(client, structure, options) {
@@ -253,7 +1209,16 @@ class Table extends AbstractObject {
             diff.restart = value;
           }
         }
-        queries.add(this._QueryGenerator.alterIdentify(column, diff));
+        queries.add(
+          this._QueryGenerator.alterIdentify(column, diff),
+          this._QueryGenerator.alterIdentify(
+            column,
+            utils.pick(
+              Object.keys(utils.omit(['restart'], diff)),
+              receivedColumn.identity
+            )
+          )
+        );
       } else {
         const {
           rows: [{ name: serialColumnSequence }],
@@ -266,7 +1231,10 @@ class Table extends AbstractObject {
           );
         }
 
-        queries.add(this._QueryGenerator.addIdentify(column, column.identity));
+        queries.add(
+          this._QueryGenerator.addIdentify(column, column.identity),
+          this._QueryGenerator.dropIdentify(column)
+        );
 
         if (receivedColumn && options.adjustIdentitySequences) {
           const {
@@ -305,22 +1273,79 @@ class Table extends AbstractObject {
   async _getExtensionCleanupQueries(client, type, structure, options) {
     const queries = new ChangeStorage();
 
-    if (
-      options.allowClean[type] !== true ||
-      Table.willBeCreated(structure, options)
-    ) {
+    // the changed trigger or policy is dropped and created again under the same name
+    const replaceable = type === 'trigger' || type === 'policy';
+
+    if (Table.willBeCreated(structure, options)) {
+      return queries;
+    }
+
+    const concurrently =
+      type === 'index' && this._buildsIndexesConcurrently(structure, options);
+    if (type === 'index') {
+      structure.invalidIndexes.forEach((name) => {
+        queries.add(this._removeExtension(type, name, concurrently));
+      });
+    }
+
+    const deferrable = _deferrableTypes.includes(type);
+    if (options.allowClean[type] !== true && !replaceable && !deferrable) {
       return queries;
     }
 
-    const extensions = await this._getNormalizedExtensions(client, type);
+    const extensions = await this._getNormalizedExtensions(
+      client,
+      type,
+      structure,
+      options
+    );
     const receivedExtensions = _getReceivedExtensions(structure)[type];
 
+    const notNullChecks = this._getNotNullChecks(structure, options);
+
     receivedExtensions.forEach(({ name, ...props }) => {
-      if (!extensions || !utils.findWhere(props, extensions)) {
+      if (
+        type === 'check' &&
+        notNullChecks.some((check) => check.name === name)
+      ) {
+        return;
+      }
+      // the foreign key is altered when the constraints are added
+      if (
+        deferrable &&
+        extensions &&
+        _findDeferrabilityChange({ name, ...props }, extensions)
+      ) {
+        if (type !== 'foreignKey') {
+          this._checkReferencingForeignKeys(structure, name);
+          queries.add(
+            this._removeExtension(type, name),
+            this._addExtension(type, { name, ...props })
+          );
+        }
+        return;
+      }
+      // triggers and policies are always named, so the name is compared as well
+      const attributes = replaceable ? { name, ...props } : props;
+      if (extensions && utils.findWhere(attributes, extensions)) {
+        return;
+      }
+      // the changed named index is rebuilt when the indexes are added
+      if (
+        type === 'index' &&
+        extensions &&
+        extensions.some((extension) => extension.name === name)
+      ) {
+        return;
+      }
+      const replaced =
+        replaceable &&
+        extensions &&
+        extensions.some((extension) => extension.name === name);
+      if (options.allowClean[type] === true || replaced) {
         queries.add(
-          type === 'index'
-            ? this._QueryGenerator.removeIndex(name)
-            : this._QueryGenerator.removeConstraint(name)
+          this._removeExtension(type, name, concurrently),
+          this._addExtension(type, { name, ...props }, { concurrently })
         );
       }
     });
@@ -331,19 +1356,174 @@ class Table extends AbstractObject {
   async _getAddExtensionQueries(client, type, structure, options) {
     const queries = new ChangeStorage();
 
-    let extensions = await this._getNormalizedExtensions(client, type);
+    const extensions = await this._getNormalizedExtensions(
+      client,
+      type,
+      structure,
+      options
+    );
     if (!extensions) return queries;
 
     const receivedExtensions = _getReceivedExtensions(structure)[type];
 
-    extensions = Table.willBeCreated(structure, options)
-      ? extensions
-      : extensions.filter((item) => !utils.findWhere(item, receivedExtensions));
+    if (Table.willBeCreated(structure, options)) {
+      // the table removal reverts its extensions as well
+      extensions.forEach((extension) => {
+        queries.add(this._addExtension(type, extension));
+      });
+      return queries;
+    }
+
+    const concurrently =
+      type === 'index' && this._buildsIndexesConcurrently(structure, options);
+    const notValid =
+      (type === 'check' || type === 'foreignKey') &&
+      this._validatesSeparately(structure, options);
+    const reserved = new Set(_getReceivedExtensionNames(structure));
+    const columns = this._columns.map(({ name }) => name);
+    const definedNames = extensions
+      .filter(({ name }) => name)
+      .map(({ name }) => name);
+    // the temporary names of the rebuilt indexes are not taken by any index
+    const indexNames = new Set([
+      ...reserved,
+      ...definedNames,
+      ...structure.invalidIndexes,
+    ]);
+
+    extensions
+      .filter((item) => !utils.findWhere(item, receivedExtensions))
+      .forEach((extension) => {
+        const redeferred =
+          _deferrableTypes.includes(type) &&
+          _findDeferrabilityChange(extension, receivedExtensions);
+        if (redeferred && type === 'foreignKey') {
+          queries.add(
+            this._QueryGenerator.alterConstraint(redeferred.name, extension),
+            this._QueryGenerator.alterConstraint(redeferred.name, redeferred)
+          );
+          return;
+        }
+        // the recreated constraint keeps its name
+        if (redeferred) {
+          queries.add(
+            this._addExtension(type, { ...extension, name: redeferred.name }),
+            this._removeExtension(type, redeferred.name)
+          );
+          return;
+        }
+        if (type === 'index' && extension.name) {
+          const received = receivedExtensions.find(
+            ({ name }) => name === extension.name
+          );
+          if (received) {
+            const tempName = naming.chooseName(
+              extension.name,
+              null,
+              'new',
+              indexNames
+            );
+            queries.add(
+              this._QueryGenerator.rebuildIndex(extension, {
+                tempName,
+                concurrently,
+              }),
+              this._QueryGenerator.rebuildIndex(received, {
+                tempName,
+                concurrently,
+              })
+            );
+            return;
+          }
+          // the same index under another name is renamed instead of creating a duplicate
+          const renamed = receivedExtensions.find((item) => {
+            return (
+              !definedNames.includes(item.name) &&
+              utils.findWhere(utils.omit(['name'], extension), [item])
+            );
+          });
+          if (renamed) {
+            definedNames.push(renamed.name);
+            queries.add(
+              this._QueryGenerator.renameIndex(renamed.name, extension.name),
+              this._QueryGenerator.renameIndex(extension.name, renamed.name)
+            );
+            return;
+          }
+        }
+
+        const name =
+          extension.name ||
+          naming.getDefaultName(this._identifier.name, type, extension, {
+            columns,
+            reserved,
+          });
+        // the constraint is named to be validated by its name
+        queries.add(
+          this._addExtension(
+            type,
+            notValid ? { ...extension, name } : extension,
+            {
+              concurrently,
+              notValid,
+            }
+          ),
+          this._removeExtension(type, name, concurrently)
+        );
+      });
+
+    return queries;
+  }
 
-    extensions.forEach((extension) => {
-      queries.add(this._addExtension(type, extension));
+  async _getValidationQueries(client, structure, options) {
+    const queries = new ChangeStorage();
+
+    if (!this._validatesSeparately(structure, options)) {
+      return queries;
+    }
+
+    this._getNotNullChecks(structure, options).forEach((check) => {
+      queries.add(this._QueryGenerator.setNotNullByCheck(check.column, check));
     });
 
+    const columns = this._columns.map(({ name }) => name);
+    const receivedExtensions = _getReceivedExtensions(structure);
+    const reserved = new Set(_getReceivedExtensionNames(structure));
+
+    for (const type of ['check', 'foreignKey']) {
+      const extensions = await this._getNormalizedExtensions(
+        client,
+        type,
+        structure,
+        options
+      );
+      if (!extensions) continue;
+
+      // the same names as the ones of the added constraints
+      const names = new Set(reserved);
+      extensions.forEach((extension) => {
+        // the altered foreign key keeps its validation
+        const received =
+          utils.findWhere(extension, receivedExtensions[type]) ||
+          (type === 'foreignKey' &&
+            _findDeferrabilityChange(extension, receivedExtensions[type]));
+        if (received) {
+          // the constraint is left by the failed validation
+          if (structure.unvalidatedConstraints.includes(received.name)) {
+            queries.add(this._QueryGenerator.validateConstraint(received.name));
+          }
+          return;
+        }
+        const name =
+          extension.name ||
+          naming.getDefaultName(this._identifier.name, type, extension, {
+            columns,
+            reserved: names,
+          });
+        queries.add(this._QueryGenerator.validateConstraint(name));
+      });
+    }
+
     return queries;
   }
 }
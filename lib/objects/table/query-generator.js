@@ -27,7 +27,56 @@ const _identityDescription = (type, { generation, ...properties }) => {
 
 const _joinColumns = (columns) => columns.map(helpers.addQuotes).join(', ');
 
-const _getColumnDescription = (column, temp) => {
+const _indexElementDescription = (element) => {
+  if (typeof element === 'string') {
+    // the elements received from the server are valid expressions as they are
+    return /^[^\s"()]+$/.test(element) ? helpers.addQuotes(element) : element;
+  }
+  const chunks = [
+    element.column
+      ? helpers.addQuotes(element.column)
+      : `(${element.expression})`,
+  ];
+  if (element.collate) {
+    chunks.push(`collate "${element.collate}"`);
+  }
+  if (element.opclass) {
+    chunks.push(element.opclass);
+  }
+  if (element.order) {
+    chunks.push(element.order.toLowerCase());
+  }
+  if (element.nulls) {
+    chunks.push(`nulls ${element.nulls.toLowerCase()}`);
+  }
+  return chunks.join(' ');
+};
+
+const _deferrableDescription = ({ deferrable, initiallyDeferred }) => {
+  return `${deferrable ? ' deferrable' : ''}${
+    initiallyDeferred ? ' initially deferred' : ''
+  }`;
+};
+
+// room with =, "period" with &&
+const _exclusionElementDescription = (element) => {
+  if (typeof element === 'string') {
+    return element;
+  }
+  const { operator, ...indexElement } = element;
+  return `${_indexElementDescription(indexElement)} with ${operator}`;
+};
+
+const _partitionKeyDescription = ({ type, columns, expression }) => {
+  const key = expression ? `(${expression})` : _joinColumns(columns);
+  return `${type.toLowerCase()} (${key})`;
+};
+
+const _partitionBoundDescription = (partition) => {
+  return partition.default ? 'default' : `for values ${partition.bounds}`;
+};
+
+const _getColumnDescription = (column, temp, generated = temp !== true) => {
   const chunks = [`${helpers.addQuotes(column.name)} ${column.type.pure}`];
 
   if (column.collate) {
@@ -38,6 +87,10 @@ const _getColumnDescription = (column, temp) => {
     chunks.push(`default ${column.default}`);
   }
 
+  if (column.generated && generated) {
+    chunks.push(`generated always as (${column.generated.expression}) stored`);
+  }
+
   if (column.nullable) {
     chunks.push('null');
   } else {
@@ -56,6 +109,278 @@ class QueryGenerator {
     this.table = table;
   }
 
+  static getTableNames(schemas) {
+    schemas = schemas.map(helpers.escapeString).join(', ');
+    return `
+    select n.nspname || '.' || c.relname as name
+    from pg_catalog.pg_class c
+      join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+    where c.relkind in ('r', 'p')
+      and not c.relispartition
+      and n.nspname = any(array[${schemas}])
+    order by name;`;
+  }
+
+  static getDomainNotNullColumns(tables) {
+    tables = tables.map(helpers.escapeString).join(', ');
+    return `
+    select
+      n.nspname || '.' || c.relname as table,
+      a.attname as column
+    from pg_catalog.pg_attribute a
+      join pg_catalog.pg_class c on c.oid = a.attrelid
+      join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+      join pg_catalog.pg_type t on t.oid = a.atttypid
+    where t.typtype = 'd'
+      and t.typnotnull
+      and not a.attnotnull
+      and n.nspname || '.' || c.relname = any(array[${tables}]);`;
+  }
+
+  static getTriggers(tables) {
+    tables = tables.map(helpers.escapeString).join(', ');
+    return `
+    select
+      n.nspname || '.' || c.relname as table,
+      t.tgname as name,
+      case when t.tgtype & 2 > 0 then 'BEFORE' else 'AFTER' end as timing,
+      array_remove(array[
+        case when t.tgtype & 4 > 0 then 'INSERT' end,
+        case when t.tgtype & 16 > 0 then 'UPDATE' end,
+        case when t.tgtype & 8 > 0 then 'DELETE' end,
+        case when t.tgtype & 32 > 0 then 'TRUNCATE' end
+      ], null) as events,
+      case when t.tgtype & 1 > 0 then 'ROW' else 'STATEMENT' end as "forEach",
+      array(
+        select a.attname
+        from unnest(t.tgattr) with ordinality k(attnum, position)
+          join pg_catalog.pg_attribute a
+            on a.attrelid = t.tgrelid and a.attnum = k.attnum
+        order by k.position
+      )::text[] as columns,
+      pn.nspname || '.' || p.proname as function,
+      pg_catalog.pg_get_triggerdef(t.oid) as definition
+    from pg_catalog.pg_trigger t
+      join pg_catalog.pg_class c on c.oid = t.tgrelid
+      join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+      join pg_catalog.pg_proc p on p.oid = t.tgfoid
+      join pg_catalog.pg_namespace pn on pn.oid = p.pronamespace
+    where not t.tgisinternal
+      and n.nspname || '.' || c.relname = any(array[${tables}])
+    order by t.tgname;`;
+  }
+
+  static getPolicies(tables) {
+    tables = tables.map(helpers.escapeString).join(', ');
+    return `
+    select
+      n.nspname || '.' || c.relname as table,
+      p.polname as name,
+      case p.polcmd
+        when 'r' then 'SELECT'
+        when 'a' then 'INSERT'
+        when 'w' then 'UPDATE'
+        when 'd' then 'DELETE'
+        else 'ALL'
+      end as command,
+      p.polpermissive as permissive,
+      array(
+        select coalesce(r.rolname, 'public')
+        from unnest(p.polroles) pr(oid)
+          left join pg_catalog.pg_roles r on r.oid = pr.oid
+      )::text[] as roles,
+      pg_catalog.pg_get_expr(p.polqual, p.polrelid) as using,
+      pg_catalog.pg_get_expr(p.polwithcheck, p.polrelid) as "withCheck"
+    from pg_catalog.pg_policy p
+      join pg_catalog.pg_class c on c.oid = p.polrelid
+      join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+    where n.nspname || '.' || c.relname = any(array[${tables}])
+    order by p.polname;`;
+  }
+
+  static getRowLevelSecurity(tables) {
+    tables = tables.map(helpers.escapeString).join(', ');
+    return `
+    select
+      n.nspname || '.' || c.relname as table,
+      c.relrowsecurity as enabled,
+      c.relforcerowsecurity as force
+    from pg_catalog.pg_class c
+      join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+    where n.nspname || '.' || c.relname = any(array[${tables}]);`;
+  }
+
+  static getComments(tables) {
+    tables = tables.map(helpers.escapeString).join(', ');
+    return `
+    select
+      n.nspname || '.' || c.relname as table,
+      null as column,
+      pg_catalog.obj_description(c.oid, 'pg_class') as comment
+    from pg_catalog.pg_class c
+      join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+    where pg_catalog.obj_description(c.oid, 'pg_class') is not null
+      and n.nspname || '.' || c.relname = any(array[${tables}])
+    union all
+    select
+      n.nspname || '.' || c.relname as table,
+      a.attname as column,
+      pg_catalog.col_description(c.oid, a.attnum) as comment
+    from pg_catalog.pg_class c
+      join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+      join pg_catalog.pg_attribute a
+        on a.attrelid = c.oid and a.attnum > 0 and not a.attisdropped
+    where pg_catalog.col_description(c.oid, a.attnum) is not null
+      and n.nspname || '.' || c.relname = any(array[${tables}]);`;
+  }
+
+  // the indexes of the unique, primary key and exclusion constraints are excluded
+  static getIndexes(tables) {
+    tables = tables.map(helpers.escapeString).join(', ');
+    return `
+    select
+      n.nspname || '.' || c.relname as table,
+      ic.relname as name,
+      pg_catalog.pg_get_indexdef(i.indexrelid) as definition,
+      i.indisvalid as valid
+    from pg_catalog.pg_index i
+      join pg_catalog.pg_class c on c.oid = i.indrelid
+      join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+      join pg_catalog.pg_class ic on ic.oid = i.indexrelid
+    where not exists (
+        select 1
+        from pg_catalog.pg_constraint
+        where conindid = i.indexrelid
+          and conrelid = i.indrelid
+          and contype in ('p', 'u', 'x')
+      )
+      and n.nspname || '.' || c.relname = any(array[${tables}])
+    order by name;`;
+  }
+
+  // the deferrability of the exclusions is parsed from their definitions
+  static getDeferrableConstraints(tables) {
+    tables = tables.map(helpers.escapeString).join(', ');
+    return `
+    select
+      n.nspname || '.' || c.relname as table,
+      con.conname as name,
+      con.condeferred as "initiallyDeferred"
+    from pg_catalog.pg_constraint con
+      join pg_catalog.pg_class c on c.oid = con.conrelid
+      join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+    where con.condeferrable
+      and con.contype in ('p', 'u', 'f')
+      and n.nspname || '.' || c.relname = any(array[${tables}]);`;
+  }
+
+  // the foreign keys of any table, which reference the keys of these tables
+  static getReferencingForeignKeys(tables) {
+    tables = tables.map(helpers.escapeString).join(', ');
+    return `
+    select
+      rn.nspname || '.' || r.relname as table,
+      k.conname as key,
+      n.nspname || '.' || c.relname as "foreignTable",
+      con.conname as name
+    from pg_catalog.pg_constraint con
+      join pg_catalog.pg_class c on c.oid = con.conrelid
+      join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+      join pg_catalog.pg_class r on r.oid = con.confrelid
+      join pg_catalog.pg_namespace rn on rn.oid = r.relnamespace
+      join pg_catalog.pg_constraint k on k.conrelid = con.confrelid
+        and k.conindid = con.conindid
+        and k.contype in ('p', 'u')
+    where con.contype = 'f'
+      and rn.nspname || '.' || r.relname = any(array[${tables}])
+    order by name;`;
+  }
+
+  static getUnvalidatedConstraints(tables) {
+    tables = tables.map(helpers.escapeString).join(', ');
+    return `
+    select
+      n.nspname || '.' || c.relname as table,
+      con.conname as name
+    from pg_catalog.pg_constraint con
+      join pg_catalog.pg_class c on c.oid = con.conrelid
+      join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+    where not con.convalidated
+      and con.contype in ('c', 'f')
+      and n.nspname || '.' || c.relname = any(array[${tables}])
+    order by name;`;
+  }
+
+  static getExclusions(tables) {
+    tables = tables.map(helpers.escapeString).join(', ');
+    return `
+    select
+      n.nspname || '.' || c.relname as table,
+      con.conname as name,
+      pg_catalog.pg_get_constraintdef(con.oid) as definition
+    from pg_catalog.pg_constraint con
+      join pg_catalog.pg_class c on c.oid = con.conrelid
+      join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+    where con.contype = 'x'
+      and n.nspname || '.' || c.relname = any(array[${tables}])
+    order by name;`;
+  }
+
+  static getGeneratedColumns(tables) {
+    tables = tables.map(helpers.escapeString).join(', ');
+    return `
+    select
+      table_schema || '.' || table_name as table,
+      column_name as column,
+      generation_expression as expression
+    from information_schema.columns
+    where is_generated = 'ALWAYS'
+      and table_schema || '.' || table_name = any(array[${tables}]);`;
+  }
+
+  static getPartitioning(tables) {
+    tables = tables.map(helpers.escapeString).join(', ');
+    return `
+    select
+      n.nspname || '.' || c.relname as table,
+      pg_catalog.pg_get_partkeydef(c.oid) as definition
+    from pg_catalog.pg_class c
+      join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+    where c.relkind = 'p'
+      and n.nspname || '.' || c.relname = any(array[${tables}]);`;
+  }
+
+  static getPartitions(tables) {
+    tables = tables.map(helpers.escapeString).join(', ');
+    return `
+    select
+      pn.nspname || '.' || p.relname as table,
+      n.nspname || '.' || c.relname as name,
+      pg_catalog.pg_get_expr(c.relpartbound, c.oid) as bounds
+    from pg_catalog.pg_inherits i
+      join pg_catalog.pg_class c on c.oid = i.inhrelid
+      join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+      join pg_catalog.pg_class p on p.oid = i.inhparent
+      join pg_catalog.pg_namespace pn on pn.oid = p.relnamespace
+    where c.relispartition
+      and pn.nspname || '.' || p.relname = any(array[${tables}])
+    order by name;`;
+  }
+
+  static getExistingTables(tables) {
+    tables = tables.map(helpers.escapeString).join(', ');
+    return `
+    select n.nspname || '.' || c.relname as name
+    from pg_catalog.pg_class c
+      join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+    where c.relkind in ('r', 'p')
+      and n.nspname || '.' || c.relname = any(array[${tables}]);`;
+  }
+
+  static dropTable(name, cascade = false) {
+    return `drop table if exists ${name}${cascade ? ' cascade' : ''};`;
+  }
+
   getChecks(table = this.table.getQuotedObjectName()) {
     return `
     select
@@ -66,6 +391,73 @@ class QueryGenerator {
         and conrelid = '${table}'::regclass;`;
   }
 
+  getTriggerDefinitions(table) {
+    return `
+    select
+      tgname as name,
+      pg_catalog.pg_get_triggerdef(oid) as definition
+    from pg_catalog.pg_trigger
+      where not tgisinternal
+        and tgrelid = '${table}'::regclass;`;
+  }
+
+  getIndexDefinitions(table) {
+    return `
+    select
+      c.relname as name,
+      pg_catalog.pg_get_indexdef(i.indexrelid) as definition
+    from pg_catalog.pg_index i
+      join pg_catalog.pg_class c on c.oid = i.indexrelid
+    where i.indrelid = '${table}'::regclass;`;
+  }
+
+  getExclusionDefinitions(table) {
+    return `
+    select
+      conname as name,
+      pg_catalog.pg_get_constraintdef(oid) as definition
+    from pg_catalog.pg_constraint
+      where contype = 'x'
+        and conrelid = '${table}'::regclass;`;
+  }
+
+  getGeneratedExpressions(table) {
+    return `
+    select
+      a.attname as name,
+      pg_catalog.pg_get_expr(d.adbin, d.adrelid) as expression
+    from pg_catalog.pg_attribute a
+      join pg_catalog.pg_attrdef d
+        on d.adrelid = a.attrelid and d.adnum = a.attnum
+    where a.attgenerated = 's'
+      and a.attrelid = '${table}'::regclass;`;
+  }
+
+  getPartitionDefinitions(table) {
+    return `
+    select
+      pg_catalog.pg_get_partkeydef('${table}'::regclass) as definition,
+      (
+        select json_object_agg(
+          c.relname,
+          pg_catalog.pg_get_expr(c.relpartbound, c.oid)
+        )
+        from pg_catalog.pg_inherits i
+          join pg_catalog.pg_class c on c.oid = i.inhrelid
+        where i.inhparent = '${table}'::regclass
+      ) as bounds;`;
+  }
+
+  getPolicyExpressions(table) {
+    return `
+    select
+      polname as name,
+      pg_catalog.pg_get_expr(polqual, polrelid) as using,
+      pg_catalog.pg_get_expr(polwithcheck, polrelid) as "withCheck"
+    from pg_catalog.pg_policy
+      where polrelid = '${table}'::regclass;`;
+  }
+
   getRestartSequenceValueByColumnData(column, sequence, lastValue) {
     const table = this.table.getQuotedObjectName();
     column = helpers.addQuotes(column.name);
@@ -82,10 +474,36 @@ class QueryGenerator {
     return `alter table ${table} add column ${columnDescription};`;
   }
 
-  removeIndex(name) {
+  dropColumn(column) {
+    const table = this.table.getQuotedObjectName();
+    return `alter table ${table} drop column ${helpers.addQuotes(
+      column.name
+    )};`;
+  }
+
+  removeIndex(name, concurrently = false) {
     name = helpers.addQuotes(name);
     const schema = helpers.addQuotes(this.table._getSchemaName());
-    return `drop index ${schema}.${name};`;
+    return `drop index${
+      concurrently ? ' concurrently' : ''
+    } ${schema}.${name};`;
+  }
+
+  renameIndex(name, newName) {
+    const schema = helpers.addQuotes(this.table._getSchemaName());
+    name = helpers.addQuotes(name);
+    return `alter index ${schema}.${name} rename to ${helpers.addQuotes(
+      newName
+    )};`;
+  }
+
+  // the new index is built under the temporary name before the old one is dropped
+  rebuildIndex(index, { tempName, concurrently = false }) {
+    return [
+      this.createIndex({ ...index, name: tempName }, { concurrently }),
+      this.removeIndex(index.name, concurrently),
+      this.renameIndex(tempName, index.name),
+    ];
   }
 
   removeConstraint(name) {
@@ -93,32 +511,99 @@ class QueryGenerator {
     return `alter table ${table} drop constraint ${helpers.addQuotes(name)};`;
   }
 
-  createIndex(index) {
+  // only the foreign keys can be altered, the other constraints are recreated
+  alterConstraint(name, { deferrable, initiallyDeferred }) {
     const table = this.table.getQuotedObjectName();
-    const columns = _joinColumns(index.columns);
-    index = utils.getDiff(index, Indexes.Defaults);
+    const timing = deferrable
+      ? `deferrable initially ${initiallyDeferred ? 'deferred' : 'immediate'}`
+      : 'not deferrable';
+    return `alter table ${table} alter constraint ${helpers.addQuotes(
+      name
+    )} ${timing};`;
+  }
+
+  validateConstraint(name) {
+    const table = this.table.getQuotedObjectName();
+    return `alter table ${table} validate constraint ${helpers.addQuotes(
+      name
+    )};`;
+  }
+
+  // the validated check lets "set not null" skip the scan of the table
+  setNotNullByCheck(column, { name, exists = false }) {
+    const table = this.table.getQuotedObjectName();
+    const columnName = helpers.addQuotes(column.name);
+    return [
+      exists
+        ? null
+        : `alter table ${table} add constraint ${helpers.addQuotes(
+            name
+          )} check ( ${columnName} is not null ) not valid;`,
+      this.validateConstraint(name),
+      `alter table ${table} alter column ${columnName} set not null;`,
+      this.removeConstraint(name),
+    ];
+  }
+
+  fillNullValues(column) {
+    if (!utils.isExist(column.default)) return null;
+    const table = this.table.getQuotedObjectName();
+    const name = helpers.addQuotes(column.name);
+    return `update ${table} set ${name} = ${column.default} where ${name} is null;`;
+  }
+
+  createIndex(
+    index,
+    { table = this.table.getQuotedObjectName(), concurrently = false } = {}
+  ) {
+    const columns = index.columns.map(_indexElementDescription).join(', ');
+    index = utils.getDiff(index, Indexes.TableDefaults);
+    const unique = index.unique ? ' unique' : '';
+    const concurrent = concurrently ? ' concurrently' : '';
     const using = index.using ? ` using ${index.using}` : '';
-    return `create index on ${table}${using} ( ${columns} );`;
+    const name = index.name ? `${helpers.addQuotes(index.name)} ` : '';
+    const include = index.include
+      ? ` include ( ${_joinColumns(index.include)} )`
+      : '';
+    const where = index.where ? ` where (${index.where})` : '';
+    return `create${unique} index${concurrent} ${name}on ${table}${using} ( ${columns} )${include}${where};`;
   }
 
   createConstraint({
     type,
     attributes,
     table = this.table.getQuotedObjectName(),
+    notValid = false,
   }) {
     type = parser.encodeConstraintType(type);
+    // the existing rows are checked later by "validate constraint"
+    const end = notValid ? ' not valid;' : ';';
 
     const prefix = `alter table ${table} add ${
-      attributes.name ? `constraint ${attributes.name} ${type}` : type
+      attributes.name
+        ? `constraint ${helpers.addQuotes(attributes.name)} ${type}`
+        : type
     }`;
 
+    const deferrable = _deferrableDescription(attributes);
+
     switch (type) {
       case 'unique':
       case 'primary key':
-        return `${prefix} ( ${_joinColumns(attributes.columns)} );`;
+        return `${prefix} ( ${_joinColumns(
+          attributes.columns
+        )} )${deferrable};`;
 
       case 'check': {
-        return `${prefix} ( ${attributes.condition} );`;
+        return `${prefix} ( ${attributes.condition} )${end}`;
+      }
+
+      case 'exclude': {
+        const elements = attributes.elements
+          .map(_exclusionElementDescription)
+          .join(', ');
+        const where = attributes.where ? ` where (${attributes.where})` : '';
+        return `${prefix} using ${attributes.using} ( ${elements} )${where}${deferrable};`;
       }
 
       case 'foreign key': {
@@ -138,27 +623,133 @@ class QueryGenerator {
           : '';
         return (
           prefix +
-          ` ( ${columns} ) references ${refTable} ( ${refColumns} )${match}${onUpdate}${onDelete};`
+          ` ( ${columns} ) references ${refTable} ( ${refColumns} )${match}${onUpdate}${onDelete}${deferrable}${end}`
         );
       }
     }
   }
 
+  createTrigger(trigger, table = this.table.getQuotedObjectName()) {
+    const name = helpers.addQuotes(trigger.name);
+    const events = trigger.events
+      .map((event) => {
+        return event === 'UPDATE' && trigger.columns.length > 0
+          ? `update of ${_joinColumns(trigger.columns)}`
+          : event.toLowerCase();
+      })
+      .join(' or ');
+    const timing = trigger.timing.toLowerCase();
+    const forEach = trigger.forEach.toLowerCase();
+    const when = trigger.when ? ` when (${trigger.when})` : '';
+    const func = helpers.quoteObjectName(trigger.function);
+    return `create trigger ${name} ${timing} ${events} on ${table} for each ${forEach}${when} execute procedure ${func}();`;
+  }
+
+  dropTrigger(name) {
+    const table = this.table.getQuotedObjectName();
+    return `drop trigger ${helpers.addQuotes(name)} on ${table};`;
+  }
+
+  createPolicy(policy, table = this.table.getQuotedObjectName()) {
+    const chunks = [
+      `create policy ${helpers.addQuotes(policy.name)} on ${table}`,
+    ];
+    if (!policy.permissive) {
+      chunks.push('as restrictive');
+    }
+    if (policy.command !== 'ALL') {
+      chunks.push(`for ${policy.command.toLowerCase()}`);
+    }
+    if (policy.roles.join() !== 'public') {
+      const roles = policy.roles.map((role) => {
+        return role === 'public' ? role : helpers.addQuotes(role);
+      });
+      chunks.push(`to ${roles.join(', ')}`);
+    }
+    if (policy.using) {
+      chunks.push(`using (${policy.using})`);
+    }
+    if (policy.withCheck) {
+      chunks.push(`with check (${policy.withCheck})`);
+    }
+    return `${chunks.join(' ')};`;
+  }
+
+  dropPolicy(name) {
+    const table = this.table.getQuotedObjectName();
+    return `drop policy ${helpers.addQuotes(name)} on ${table};`;
+  }
+
+  alterRowLevelSecurity(key, value) {
+    const table = this.table.getQuotedObjectName();
+    let action;
+    if (key === 'enabled') {
+      action = value ? 'enable' : 'disable';
+    } else {
+      action = value ? 'force' : 'no force';
+    }
+    return `alter table ${table} ${action} row level security;`;
+  }
+
   createTable({
     table = this.table.getQuotedObjectName(),
     columns = this.table._columns,
     force = false,
     temp = false,
+    generated = !temp,
+    partitionBy = temp ? null : this.table._partitionBy,
   }) {
     columns = columns
-      .map((column) => _getColumnDescription(column, temp))
+      .map((column) => _getColumnDescription(column, temp, generated))
       .join(', ');
+    const partition = partitionBy
+      ? ` partition by ${_partitionKeyDescription(partitionBy)}`
+      : '';
     return [
       force ? `drop table if exists ${table} cascade;` : null,
-      `create${temp ? ' temporary' : ''} table ${table} ( ${columns} );`,
+      `create${
+        temp ? ' temporary' : ''
+      } table ${table} ( ${columns} )${partition};`,
     ];
   }
 
+  createPartition(partition, table = this.table.getQuotedObjectName()) {
+    const name = helpers.quoteObjectName(partition.name);
+    const bound = _partitionBoundDescription(partition);
+    return `create table ${name} partition of ${table} ${bound};`;
+  }
+
+  attachPartition(partition) {
+    const table = this.table.getQuotedObjectName();
+    const name = helpers.quoteObjectName(partition.name);
+    const bound = _partitionBoundDescription(partition);
+    return `alter table ${table} attach partition ${name} ${bound};`;
+  }
+
+  detachPartition(name) {
+    const table = this.table.getQuotedObjectName();
+    name = helpers.quoteObjectName(name);
+    return `alter table ${table} detach partition ${name};`;
+  }
+
+  dropPartition(name) {
+    return `drop table ${helpers.quoteObjectName(name)};`;
+  }
+
+  dropTable() {
+    return `drop table ${this.table.getQuotedObjectName()};`;
+  }
+
+  comment(comment, column) {
+    const target = column
+      ? `column ${this.table.getQuotedObjectName()}.${helpers.addQuotes(
+          column
+        )}`
+      : `table ${this.table.getQuotedObjectName()}`;
+    const value = comment ? helpers.escapeString(comment) : 'null';
+    return `comment on ${target} is ${value};`;
+  }
+
   dropIdentify(column) {
     const table = this.table.getQuotedObjectName();
     column = helpers.addQuotes(column.name);
@@ -193,13 +784,32 @@ class QueryGenerator {
     return `alter table ${table} alter column ${column} ${attrs.join(' ')};`;
   }
 
-  alterColumn(column, diff) {
+  // 'strict === false' allows type changes with data loss (e.g. rollback)
+  alterColumn(column, diff, strict = true) {
     if (utils.isEmptyObject(diff)) return;
     const name = helpers.addQuotes(column.name);
     const table = this.table.getQuotedObjectName();
 
+    if (utils.has('generated', diff) && diff.generated.next) {
+      if (strict && !diff.generated.prev) {
+        throw new SyncError(
+          `Change the column '${column.name}' to the generated one can result in data loss`
+        );
+      }
+      // the expression cannot be changed, so the column is added again
+      return [
+        diff.name
+          ? `alter table ${table} rename column ${helpers.addQuotes(
+              diff.name.prev
+            )} to ${name};`
+          : null,
+        this.dropColumn(column),
+        this.addColumn(column),
+      ];
+    }
+
     // < ! > this order cannot be changed
-    return ['name', 'nullable', 'type', 'default', 'collate'].map(
+    return ['name', 'generated', 'nullable', 'type', 'default', 'collate'].map(
       (attribute) => {
         if (utils.has(attribute, diff)) {
           const key = attribute;
@@ -207,21 +817,21 @@ class QueryGenerator {
           if (key === 'name') {
             const prev = helpers.addQuotes(value.prev);
             return `alter table ${table} rename column ${prev} to ${name};`;
+          } else if (key === 'generated') {
+            return `alter table ${table} alter column ${name} drop expression;`;
           } else if (key === 'nullable') {
             if (value === true) {
               return `alter table ${table} alter column ${name} drop not null;`;
             } else {
-              const setValues = utils.isExist(column.default)
-                ? `update ${table} set ${name} = ${column.default} where ${name} is null;`
-                : null;
               return [
-                setValues,
+                this.fillNullValues(column),
                 `alter table ${table} alter column ${name} set not null;`,
               ];
             }
           } else if (key === 'type' || key === 'collate') {
             if (
               key === 'collate' ||
+              !strict ||
               isColumnModificationAllowed(value.prev, value.next)
             ) {
               const collate = column.collate
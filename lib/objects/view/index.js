@@ -0,0 +1,240 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+const util = require('util');
+const ChangeStorage = require('../../change-storage');
+const AbstractObject = require('../abstract');
+const QueryGenerator = require('./query-generator');
+
+const utils = require('../../utils');
+const helpers = require('../../helpers');
+const parser = require('../../parser');
+const naming = require('../../naming');
+const privileges = require('../../privileges');
+
+const _optionKeys = ['checkOption', 'securityBarrier'];
+const _indexKeys = ['columns', 'using', 'unique'];
+
+const _parseOptions = (options) => {
+  return (options || []).reduce(
+    (acc, option) => {
+      const [key, value] = option.split('=');
+      if (key === 'check_option') {
+        acc.checkOption = value.toUpperCase();
+      } else if (key === 'security_barrier') {
+        acc.securityBarrier = value === 'true';
+      }
+      return acc;
+    },
+    { checkOption: null, securityBarrier: false }
+  );
+};
+
+// "create or replace" can only add new columns to the end of the view
+const _isReplaceable = (columns, newColumns) => {
+  return columns.every((column, i) => {
+    return util.isDeepStrictEqual(column, newColumns[i]);
+  });
+};
+
+class View extends AbstractObject {
+  static async find(client, names) {
+    if (!names || names.length === 0) {
+      return new Map();
+    }
+    const { rows } = await client.query(QueryGenerator.getViews(names));
+    return new Map(
+      rows.map((row) => [
+        row.name,
+        {
+          attributes: {
+            materialized: row.materialized,
+            withData: row.populated,
+            ..._parseOptions(row.options),
+            query: parser.viewQuery(row.query),
+          },
+          columns: row.columns,
+          dependencies: row.dependencies,
+          indexes: row.indexes,
+        },
+      ])
+    );
+  }
+
+  constructor(differ, properties) {
+    super(differ, properties);
+    this.type = 'view';
+    this._QueryGenerator = new QueryGenerator(this);
+
+    const { attributes, indexes } = parser.schema(this.type, properties);
+    this._attributes = attributes;
+    this._indexes = indexes;
+    this._privileges = privileges.parse(this.type, properties.grants);
+  }
+
+  // the query is passed through the server to compare it with the received one
+  async _getNormalizedDefinition(client, structure, options) {
+    if (!structure || options.force) {
+      return null;
+    }
+    const tempViewName = helpers.addQuotes(
+      `temp_view_${this._identifier.name}`
+    );
+    await client.query(
+      QueryGenerator.createTempView(tempViewName, this._attributes.query)
+    );
+    const {
+      rows: [definition = null],
+    } = await client.query(QueryGenerator.getTempViewDefinition(tempViewName));
+    await client.query(QueryGenerator.dropTempView(tempViewName));
+    return (
+      definition && {
+        query: parser.viewQuery(definition.query),
+        columns: definition.columns,
+      }
+    );
+  }
+
+  _isQueryChanged(structure, definition) {
+    return !definition || definition.query !== structure.attributes.query;
+  }
+
+  _shouldBeRecreated(structure, definition, recreatedObjects) {
+    if (!structure) {
+      return false;
+    }
+    if (structure.dependencies.some((name) => recreatedObjects.has(name))) {
+      return true;
+    }
+    if (structure.attributes.materialized !== this._attributes.materialized) {
+      return true;
+    }
+    if (!this._isQueryChanged(structure, definition)) {
+      return false;
+    }
+    return (
+      this._attributes.materialized ||
+      !definition ||
+      !_isReplaceable(structure.columns, definition.columns)
+    );
+  }
+
+  _getCreateQueries(structure) {
+    if (structure) {
+      return [
+        this._QueryGenerator.create({ attributes: structure.attributes }),
+        ...structure.indexes.map(({ definition }) => `${definition};`),
+      ];
+    }
+    return [
+      this._QueryGenerator.create(),
+      ...this._indexes.map((index) => this._QueryGenerator.createIndex(index)),
+    ];
+  }
+
+  _getDropQueries(structure, options, recreate) {
+    const queries = new ChangeStorage();
+    if (!structure) {
+      return queries;
+    }
+    const { materialized } = structure.attributes;
+    if (options.force) {
+      return queries.add(
+        this._QueryGenerator.drop({ materialized, force: true })
+      );
+    }
+    if (recreate) {
+      queries.add(
+        this._QueryGenerator.drop({ materialized }),
+        this._getCreateQueries(structure)
+      );
+    }
+    return queries;
+  }
+
+  _getCreateOrAlterQueries(structure, definition, options, recreate) {
+    if (options.force) {
+      return new ChangeStorage(this._getCreateQueries());
+    }
+    if (!structure || recreate) {
+      return new ChangeStorage(
+        this._getCreateQueries(),
+        this._QueryGenerator.drop()
+      );
+    }
+    if (this._attributes.materialized) {
+      const queries = this._getIndexQueries(structure, options);
+      // the view is populated or emptied without recreating it
+      const { withData } = structure.attributes;
+      if (withData !== this._attributes.withData) {
+        queries.add(
+          this._QueryGenerator.refresh(),
+          this._QueryGenerator.refresh({ withData })
+        );
+      }
+      return queries;
+    }
+
+    const queries = new ChangeStorage();
+    const optionsDiff = utils.getDiff(
+      utils.pick(_optionKeys, this._attributes),
+      utils.pick(_optionKeys, structure.attributes)
+    );
+    if (
+      this._isQueryChanged(structure, definition) ||
+      !utils.isEmptyObject(optionsDiff)
+    ) {
+      const rollback = _isReplaceable(definition.columns, structure.columns)
+        ? this._QueryGenerator.create({
+            attributes: structure.attributes,
+            replace: true,
+          })
+        : [
+            this._QueryGenerator.drop(),
+            this._QueryGenerator.create({ attributes: structure.attributes }),
+          ];
+      queries.add(this._QueryGenerator.create({ replace: true }), rollback);
+    }
+    return queries;
+  }
+
+  _getIndexQueries(structure, options) {
+    const queries = new ChangeStorage();
+
+    if (options.allowClean.index === true) {
+      structure.indexes.forEach((index) => {
+        if (!utils.findWhere(utils.pick(_indexKeys, index), this._indexes)) {
+          queries.add(
+            this._QueryGenerator.dropIndex(index.name),
+            `${index.definition};`
+          );
+        }
+      });
+    }
+
+    const reserved = new Set(structure.indexes.map(({ name }) => name));
+    this._indexes
+      .filter((index) => !utils.findWhere(index, structure.indexes))
+      .forEach((index) => {
+        const name = naming.getDefaultName(
+          this._identifier.name,
+          'index',
+          index,
+          { reserved }
+        );
+        queries.add(
+          this._QueryGenerator.createIndex(index),
+          this._QueryGenerator.dropIndex(name)
+        );
+      });
+
+    return queries;
+  }
+}
+
+module.exports = View;
@@ -0,0 +1,154 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+const helpers = require('../../helpers');
+const { Indexes } = require('../../constants');
+
+const _getColumns = (relation) => `
+      array(
+        select json_build_object(
+          'name', a.attname,
+          'type', pg_catalog.format_type(a.atttypid, a.atttypmod)
+        )
+        from pg_catalog.pg_attribute a
+        where a.attrelid = ${relation}
+          and a.attnum > 0
+          and not a.attisdropped
+        order by a.attnum
+      )`;
+
+class QueryGenerator {
+  constructor(view) {
+    this.view = view;
+  }
+
+  static getViews(names) {
+    names = names.map(helpers.escapeString).join(', ');
+    return `
+    select
+      n.nspname || '.' || c.relname as name,
+      c.relkind = 'm' as materialized,
+      c.relispopulated as populated,
+      pg_catalog.pg_get_viewdef(c.oid) as query,
+      c.reloptions as options,
+      ${_getColumns('c.oid')} as columns,
+      array(
+        select distinct dn.nspname || '.' || dc.relname
+        from pg_catalog.pg_rewrite r
+          join pg_catalog.pg_depend d on d.objid = r.oid
+          join pg_catalog.pg_class dc on dc.oid = d.refobjid
+          join pg_catalog.pg_namespace dn on dn.oid = dc.relnamespace
+        where r.ev_class = c.oid
+          and d.classid = 'pg_catalog.pg_rewrite'::regclass
+          and d.refclassid = 'pg_catalog.pg_class'::regclass
+          and d.refobjid <> c.oid
+      ) as dependencies,
+      array(
+        select json_build_object(
+          'name', ic.relname,
+          'columns', array(
+            select a.attname
+            from unnest(i.indkey) with ordinality k(attnum, position)
+              join pg_catalog.pg_attribute a
+                on a.attrelid = c.oid and a.attnum = k.attnum
+            order by k.position
+          ),
+          'using', am.amname,
+          'unique', i.indisunique,
+          'definition', pg_catalog.pg_get_indexdef(i.indexrelid)
+        )
+        from pg_catalog.pg_index i
+          join pg_catalog.pg_class ic on ic.oid = i.indexrelid
+          join pg_catalog.pg_am am on am.oid = ic.relam
+        where i.indrelid = c.oid
+        order by ic.relname
+      ) as indexes
+    from pg_catalog.pg_class c
+      join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+    where c.relkind in ('v', 'm')
+      and n.nspname || '.' || c.relname = any(array[${names}]);`;
+  }
+
+  // the view is created in the exception block, so an invalid query does not abort the transaction
+  static createTempView(name, query) {
+    return `
+    do $differ$
+    begin
+      create temporary view ${name} as ${query};
+    exception when others then null;
+    end
+    $differ$;`;
+  }
+
+  static getTempViewDefinition(name) {
+    const relation = `pg_catalog.to_regclass('pg_temp.${name}')`;
+    return `
+    select
+      pg_catalog.pg_get_viewdef(${relation}) as query,
+      ${_getColumns(relation)} as columns
+    where ${relation} is not null;`;
+  }
+
+  static dropTempView(name) {
+    return `drop view if exists pg_temp.${name};`;
+  }
+
+  create({
+    name = this.view.getQuotedObjectName(),
+    attributes = this.view._attributes,
+    replace = false,
+  } = {}) {
+    const { query } = attributes;
+    if (attributes.materialized) {
+      const data = attributes.withData ? '' : ' with no data';
+      return `create materialized view ${name} as ${query}${data};`;
+    }
+    const options = attributes.securityBarrier
+      ? ' with (security_barrier)'
+      : '';
+    const checkOption = attributes.checkOption
+      ? ` with ${attributes.checkOption.toLowerCase()} check option`
+      : '';
+    return `create${
+      replace ? ' or replace' : ''
+    } view ${name}${options} as ${query}${checkOption};`;
+  }
+
+  drop({
+    name = this.view.getQuotedObjectName(),
+    materialized = this.view._attributes.materialized,
+    force = false,
+  } = {}) {
+    const type = materialized ? 'materialized view' : 'view';
+    return force
+      ? `drop ${type} if exists ${name} cascade;`
+      : `drop ${type} ${name};`;
+  }
+
+  refresh({ withData = this.view._attributes.withData } = {}) {
+    const data = withData ? '' : ' with no data';
+    return `refresh materialized view ${this.view.getQuotedObjectName()}${data};`;
+  }
+
+  createIndex(index) {
+    const view = this.view.getQuotedObjectName();
+    const columns = index.columns.map(helpers.addQuotes).join(', ');
+    const unique = index.unique ? ' unique' : '';
+    const using =
+      index.using !== Indexes.Defaults.using ? ` using ${index.using}` : '';
+    return `create${unique} index on ${view}${using} ( ${columns} );`;
+  }
+
+  dropIndex(name) {
+    name = helpers.addQuotes(name);
+    const schema = helpers.addQuotes(this.view._getSchemaName());
+    return `drop index ${schema}.${name};`;
+  }
+}
+
+module.exports = QueryGenerator;
@@ -6,18 +6,33 @@
  */
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
 const utils = require('./utils');
 const helpers = require('./helpers');
 const Types = require('./types');
+const Migration = require('./migration');
 const { ValidationError } = require('./errors');
-const { Columns, Constraints, Indexes, Sequences } = require('./constants');
+const {
+  Columns,
+  Constraints,
+  Indexes,
+  Sequences,
+  Views,
+  Functions,
+  Triggers,
+  Policies,
+} = require('./constants');
 
 exports.literalDefaultValue = (value) => {
   if (typeof value === 'string') {
     value = value.replace(/(?<=^nextval\(')[^']+/, (sequence) => {
       return helpers.quoteObjectName(sequence);
     });
-    return value.replace(/::[a-zA-Z ]+(?:\[\d+]|\[]){0,2}$/, '');
+    return value.replace(
+      /::(?:"[^"]+"\.|[a-zA-Z_]\w*\.)?(?:"[^"]+"|[a-zA-Z_][\w ]*)(?:\[\d+]|\[]){0,2}$/,
+      ''
+    );
   } else {
     return value;
   }
@@ -25,6 +40,120 @@ exports.literalDefaultValue = (value) => {
 
 exports.checkCondition = (definition) => definition.match(/[^(]+(?=\))/)[0];
 
+exports.triggerCondition = (definition) => {
+  const match = definition.match(
+    / WHEN \((.+)\) EXECUTE (?:FUNCTION|PROCEDURE) /
+  );
+  return match ? match[1] : null;
+};
+
+// 'FOR VALUES FROM (1) TO (10)' or 'DEFAULT'
+exports.partitionBounds = (definition) => {
+  return definition === 'DEFAULT'
+    ? { bounds: null, default: true }
+    : { bounds: definition.replace(/^FOR VALUES /, ''), default: false };
+};
+
+// the part of the definition enclosed in the parentheses which start at the index
+const _enclosed = (string, start) => {
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < string.length; i++) {
+    const char = string[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')' && --depth === 0) {
+      return string.slice(start + 1, i);
+    }
+  }
+  return string.slice(start + 1);
+};
+
+const _splitElements = (string) => {
+  const elements = [];
+  let depth = 0;
+  let quote = null;
+  let element = '';
+  for (const char of string) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      elements.push(element.trim());
+      element = '';
+      continue;
+    }
+    element += char;
+  }
+  return [...elements, element.trim()];
+};
+
+const _unquoteIdentifier = (element) => {
+  const match = element.match(/^"([^"]+)"$/);
+  return match ? match[1] : element;
+};
+
+// CREATE UNIQUE INDEX name ON table USING btree (a, lower(b) DESC) INCLUDE (c) WHERE (d > 0)
+exports.indexDefinition = (definition) => {
+  const [using] = definition.match(/(?<= USING )\w+(?= \()/);
+  const start = definition.indexOf(
+    '(',
+    definition.indexOf(` USING ${using} (`)
+  );
+  const elements = _enclosed(definition, start);
+  const rest = definition.slice(start + elements.length + 2);
+
+  const include = rest.startsWith(' INCLUDE (')
+    ? _splitElements(_enclosed(rest, rest.indexOf('('))).map(_unquoteIdentifier)
+    : [];
+  const whereIndex = rest.indexOf(' WHERE (');
+  const where =
+    whereIndex === -1 ? null : _enclosed(rest, whereIndex + ' WHERE '.length);
+
+  return {
+    unique: definition.startsWith('CREATE UNIQUE '),
+    using,
+    columns: _splitElements(elements).map(_unquoteIdentifier),
+    include,
+    where,
+  };
+};
+
+// EXCLUDE USING gist (room WITH =, period WITH &&) WHERE (...) DEFERRABLE INITIALLY DEFERRED
+exports.exclusionDefinition = (definition) => {
+  const [using] = definition.match(/(?<=^EXCLUDE USING )\w+(?= \()/);
+  const start = definition.indexOf('(');
+  const elements = _enclosed(definition, start);
+  const rest = definition.slice(start + elements.length + 2);
+
+  const whereIndex = rest.indexOf(' WHERE (');
+  const where =
+    whereIndex === -1 ? null : _enclosed(rest, whereIndex + ' WHERE '.length);
+  const options =
+    whereIndex === -1
+      ? rest
+      : rest.slice(whereIndex + ' WHERE '.length + where.length + 2);
+
+  return {
+    using,
+    elements: _splitElements(elements),
+    where,
+    deferrable: options.includes(' DEFERRABLE'),
+    initiallyDeferred: options.includes(' INITIALLY DEFERRED'),
+  };
+};
+
+exports.viewQuery = (query) => query.trim().replace(/\s*;+$/, '');
+
 const _normalizeIdentity = (type, value) => {
   if (utils.isObject(value)) {
     value = { ...Columns.getIdentityDefaults(type), ...value };
@@ -67,6 +196,8 @@ exports.encodeConstraintType = (key) => {
       return Constraints.Types.PRIMARY_KEY;
     case 'foreignKey':
       return Constraints.Types.FOREIGN_KEY;
+    case 'exclusion':
+      return Constraints.Types.EXCLUSION;
     default:
       return key;
   }
@@ -74,14 +205,30 @@ exports.encodeConstraintType = (key) => {
 
 const _defaultSyncOptions = {
   transaction: true,
+  execute: true,
   force: false,
   adjustIdentitySequences: false,
+  migration: null,
+  managedSchemas: null,
+  protectedObjects: [],
+  createSchemas: false,
+  concurrently: false,
+  notValid: false,
   allowClean: {
     primaryKey: true,
     foreignKey: false,
     unique: false,
+    exclusion: false,
     check: false,
     index: false,
+    column: false,
+    attribute: false,
+    table: false,
+    sequence: false,
+    trigger: false,
+    policy: false,
+    grant: false,
+    partition: false,
   },
 };
 
@@ -91,6 +238,15 @@ exports.encryptedNamesListExtensions = {
   foreignKeys: 'foreignKey',
   checks: 'check',
   unique: 'unique',
+  exclusions: 'exclusion',
+  columns: 'column',
+  attributes: 'attribute',
+  tables: 'table',
+  sequences: 'sequence',
+  triggers: 'trigger',
+  policies: 'policy',
+  grants: 'grant',
+  partitions: 'partition',
 };
 
 exports.syncOptions = (options) => {
@@ -99,12 +255,40 @@ exports.syncOptions = (options) => {
       ..._defaultSyncOptions,
       ...options,
       allowClean: _normalizeAllowClean(options.allowClean),
+      migration: _normalizeMigration(options.migration),
     };
   } else {
     return _defaultSyncOptions;
   }
 };
 
+const _normalizeMigration = (migration) => {
+  if (!migration) return null;
+
+  if (typeof migration === 'string') {
+    migration = { directory: migration };
+  }
+
+  migration = { format: 'sql', name: 'migration', down: false, ...migration };
+
+  if (typeof migration.directory !== 'string') {
+    throw new ValidationError({
+      path: 'options.migration.directory',
+      message: 'should be string',
+    });
+  }
+
+  const formats = Object.keys(Migration.Formats);
+  if (!formats.includes(migration.format)) {
+    throw new ValidationError({
+      path: 'options.migration.format',
+      message: `should be one of [${formats.map((f) => `'${f}'`).join(', ')}]`,
+    });
+  }
+
+  return migration;
+};
+
 const _normalizeAllowClean = (object) => {
   if (object) {
     const encrypted = Object.entries(object).reduce(
@@ -121,7 +305,15 @@ const _normalizeAllowClean = (object) => {
 
 const _getConstraintsAndIndexes = (schema) => {
   const constraintsAndIndexes = utils.pick(
-    ['indexes', 'unique', 'foreignKeys', 'checks'],
+    [
+      'indexes',
+      'unique',
+      'exclusions',
+      'foreignKeys',
+      'checks',
+      'triggers',
+      'policies',
+    ],
     schema
   );
 
@@ -133,7 +325,15 @@ const _getConstraintsAndIndexes = (schema) => {
         if (type === 'foreignKey') {
           defaults = { ...Constraints.ForeignKeyDefaults };
         } else if (type === 'index') {
-          defaults = { ...Indexes.Defaults };
+          defaults = { ...Indexes.TableDefaults };
+        } else if (type === 'exclusion') {
+          defaults = { ...Constraints.ExclusionDefaults };
+        } else if (type === 'unique') {
+          defaults = { ...Constraints.DeferrableDefaults };
+        } else if (type === 'trigger') {
+          defaults = { ...Triggers.Defaults };
+        } else if (type === 'policy') {
+          defaults = { ...Policies.Defaults };
         }
         acc[type] = defaults
           ? elements.map((props) => ({ ...defaults, ...props }))
@@ -144,7 +344,28 @@ const _getConstraintsAndIndexes = (schema) => {
     {}
   );
 
-  result.primaryKey = schema.primaryKey ? [schema.primaryKey] : null;
+  result.primaryKey = schema.primaryKey
+    ? [{ ...Constraints.DeferrableDefaults, ...schema.primaryKey }]
+    : null;
+
+  // the server rejects "initially deferred" of the constraint which cannot be deferred
+  [
+    ['primaryKey', schema.primaryKey ? [schema.primaryKey] : null],
+    ['unique', schema.unique],
+    ['foreignKeys', schema.foreignKeys],
+    ['exclusions', schema.exclusions],
+  ].forEach(([key, constraints]) => {
+    (constraints || []).forEach((constraint, i) => {
+      if (constraint.initiallyDeferred && !constraint.deferrable) {
+        throw new ValidationError({
+          path: `properties.${key}${
+            key === 'primaryKey' ? '' : `[${i}]`
+          }.initiallyDeferred`,
+          message: 'requires deferrable',
+        });
+      }
+    });
+  });
 
   return result;
 };
@@ -156,6 +377,71 @@ const _shouldBePrimaryKey = (column, primaryKey) => {
   );
 };
 
+const _normalizeGenerated = (column) => {
+  const { generated } = column;
+  if (!generated) {
+    return null;
+  }
+  const path = `properties.columns['${column.name}'].generated`;
+  if (generated.stored === false) {
+    throw new ValidationError({
+      path,
+      message: 'only stored generated columns are supported',
+    });
+  }
+  if (utils.isExist(column.default) || column.identity) {
+    throw new ValidationError({
+      path,
+      message: 'cannot be used with default or identity',
+    });
+  }
+  return { expression: generated.expression, stored: true };
+};
+
+const _parsePartitions = (schema, extensions) => {
+  if (!schema.partitionBy) {
+    if (schema.partitions) {
+      throw new ValidationError({
+        path: 'properties.partitions',
+        message: 'not supported by tables without partitionBy',
+      });
+    }
+    return [];
+  }
+
+  // the server requires the partition key in the unique constraints
+  const { columns } = schema.partitionBy;
+  if (columns) {
+    [
+      ['primaryKey', extensions.primaryKey],
+      ['unique', extensions.unique],
+    ].forEach(([key, constraints]) => {
+      (constraints || []).forEach((constraint) => {
+        if (columns.some((column) => !constraint.columns.includes(column))) {
+          throw new ValidationError({
+            path: `properties.${key}`,
+            message: 'should include the partition key columns',
+          });
+        }
+      });
+    });
+  }
+
+  return (schema.partitions || []).map((partition, i) => {
+    if (Boolean(partition.bounds) === Boolean(partition.default)) {
+      throw new ValidationError({
+        path: `properties.partitions[${i}]`,
+        message: 'should have either bounds or default',
+      });
+    }
+    return {
+      name: partition.name,
+      bounds: partition.bounds || null,
+      default: partition.default === true,
+    };
+  });
+};
+
 const _parseTableSchema = (schema) => {
   const extensions = _getConstraintsAndIndexes(schema);
 
@@ -174,7 +460,9 @@ const _parseTableSchema = (schema) => {
           message: 'should be only one primary key',
         });
       } else {
-        extensions.primaryKey = [{ columns: [column.name] }];
+        extensions.primaryKey = [
+          { ...Constraints.DeferrableDefaults, columns: [column.name] },
+        ];
       }
     }
 
@@ -184,20 +472,31 @@ const _parseTableSchema = (schema) => {
 
     if (column.unique) {
       extensions.unique = extensions.unique || [];
-      extensions.unique.push({ columns: [column.name] });
+      extensions.unique.push({
+        ...Constraints.DeferrableDefaults,
+        columns: [column.name],
+      });
     }
 
     column.type = Types.parse(column.type);
     column.default = exports.encodeDefaultValue(column.default);
     column.identity = _normalizeIdentity(column.type.pure, column.identity);
+    column.generated = _normalizeGenerated(column);
 
     return column;
   });
 
+  const partitions = _parsePartitions(schema, extensions);
+
   return {
     name: schema.name,
     columns,
     extensions,
+    partitionBy: schema.partitionBy || null,
+    partitions,
+    rowLevelSecurity: schema.rowLevelSecurity
+      ? { ...Policies.RowLevelSecurityDefaults, ...schema.rowLevelSecurity }
+      : null,
   };
 };
 
@@ -210,6 +509,137 @@ const _parseSequenceSchema = (schema) => {
   };
 };
 
+const _parseViewSchema = (schema) => {
+  const attributes = {
+    ...Views.Defaults,
+    ...utils.pick(
+      ['materialized', 'withData', 'checkOption', 'securityBarrier'],
+      schema
+    ),
+    query: exports.viewQuery(schema.query),
+  };
+  const unsupported = attributes.materialized
+    ? ['checkOption', 'securityBarrier']
+    : ['withData', 'indexes'];
+  unsupported.forEach((key) => {
+    if (utils.has(key, schema)) {
+      throw new ValidationError({
+        path: `properties.${key}`,
+        message: `not supported by ${
+          attributes.materialized ? 'materialized' : 'regular'
+        } views`,
+      });
+    }
+  });
+  return {
+    attributes,
+    indexes: (schema.indexes || []).map((index) => ({
+      ...Views.IndexDefaults,
+      ...index,
+    })),
+  };
+};
+
+const _parseEnumSchema = (schema) => {
+  return {
+    values: schema.values.map((value) => {
+      return typeof value === 'string' ? { name: value } : value;
+    }),
+  };
+};
+
+const _parseDomainSchema = (schema) => {
+  return {
+    attributes: {
+      type: Types.parse(schema.type),
+      default: utils.isExist(schema.default)
+        ? exports.encodeDefaultValue(schema.default)
+        : null,
+      nullable: schema.nullable !== false,
+    },
+    checks: schema.checks || [],
+  };
+};
+
+const _parseCompositeSchema = (schema) => {
+  return {
+    attributes: Object.entries(schema.attributes).map(([name, value]) => {
+      return typeof value === 'string'
+        ? { name, type: Types.parse(value) }
+        : { ...value, name, type: Types.parse(value.type) };
+    }),
+  };
+};
+
+const _parseExtensionSchema = (schema) => {
+  return {
+    attributes: {
+      schema: schema.schema ? helpers.removeQuotes(schema.schema) : null,
+      version: schema.version || null,
+    },
+  };
+};
+
+const _parseSchemaSchema = (schema) => {
+  return {
+    attributes: {
+      owner: schema.owner || null,
+      comment: schema.comment || null,
+    },
+  };
+};
+
+// the path of the imported schema is already resolved against its directory,
+// the defined one is resolved against the working directory
+const _readFunctionBody = (bodyPath) => {
+  try {
+    return fs.readFileSync(path.resolve(bodyPath), 'utf-8');
+  } catch (e) {
+    throw new ValidationError({
+      path: 'properties.bodyPath',
+      message: `cannot read the file '${bodyPath}'`,
+    });
+  }
+};
+
+const _parseFunctionSchema = (schema) => {
+  const attributes = {
+    ...Functions.Defaults,
+    ...utils.pick(
+      ['procedure', 'returns', 'language', 'volatility', 'securityDefiner'],
+      schema
+    ),
+  };
+  if (attributes.procedure) {
+    ['returns', 'volatility'].forEach((key) => {
+      if (utils.has(key, schema)) {
+        throw new ValidationError({
+          path: `properties.${key}`,
+          message: 'not supported by procedures',
+        });
+      }
+    });
+  }
+  return {
+    attributes,
+    arguments: (schema.arguments || []).map((argument) => {
+      if (typeof argument === 'string') {
+        argument = { type: argument };
+      }
+      return {
+        mode: 'IN',
+        ...argument,
+        default: utils.isExist(argument.default)
+          ? exports.encodeDefaultValue(argument.default)
+          : null,
+      };
+    }),
+    body: utils.has('body', schema)
+      ? schema.body
+      : _readFunctionBody(schema.bodyPath),
+  };
+};
+
 exports.schema = (type, properties) => {
   switch (type) {
     case 'table': {
@@ -218,6 +648,27 @@ exports.schema = (type, properties) => {
     case 'sequence': {
       return _parseSequenceSchema(properties);
     }
+    case 'view': {
+      return _parseViewSchema(properties);
+    }
+    case 'enum': {
+      return _parseEnumSchema(properties);
+    }
+    case 'domain': {
+      return _parseDomainSchema(properties);
+    }
+    case 'composite': {
+      return _parseCompositeSchema(properties);
+    }
+    case 'function': {
+      return _parseFunctionSchema(properties);
+    }
+    case 'extension': {
+      return _parseExtensionSchema(properties);
+    }
+    case 'schema': {
+      return _parseSchemaSchema(properties);
+    }
   }
 };
 
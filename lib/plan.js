@@ -0,0 +1,176 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const utils = require('./utils');
+const { SyncError } = require('./errors');
+const { Processes } = require('./constants');
+
+const VERSION = 2;
+
+const _serialize = (value) => {
+  return JSON.stringify(value, (key, value) => {
+    if (value instanceof Map) {
+      return [...value.entries()].sort(([a], [b]) => (a > b ? 1 : -1));
+    }
+    return value;
+  });
+};
+
+const fingerprint = (value) => {
+  return crypto.createHash('sha256').update(_serialize(value)).digest('hex');
+};
+
+const getQueries = (changes) => {
+  return utils.unnest(changes.map(({ queries }) => queries));
+};
+
+const getRollbackQueries = (changes) => {
+  return utils.unnest(
+    [...changes].reverse().map(({ rollbackQueries }) => rollbackQueries)
+  );
+};
+
+const getDestructiveQueries = (changes) => {
+  return utils.unnest(
+    changes.map(({ destructiveQueries }) => destructiveQueries)
+  );
+};
+
+const getPhases = (changes) => {
+  return changes.reduce((acc, { process, object, queries }) => {
+    let phase = acc.find((phase) => phase.process === process);
+    if (!phase) {
+      phase = { process, changes: [] };
+      acc.push(phase);
+    }
+    phase.changes.push({ object, queries });
+    return acc;
+  }, []);
+};
+
+const _getPhaseQueries = (phases, processes) => {
+  return utils.unnest(
+    phases
+      .filter(({ process }) => processes.includes(process))
+      .map(({ changes }) => utils.unnest(changes.map(({ queries }) => queries)))
+  );
+};
+
+// these phases are the first ones and are executed in their own transaction
+const _beforeTransaction = [Processes.UPDATING_ENUM_VALUES];
+
+// these phases are the last ones and are executed after the transaction
+const _afterTransaction = [
+  Processes.VALIDATING_CONSTRAINTS,
+  Processes.BUILDING_INDEXES,
+];
+
+const getQueriesBeforeTransaction = (phases = []) => {
+  return _getPhaseQueries(phases, _beforeTransaction);
+};
+
+const getQueriesAfterTransaction = (phases = []) => {
+  return _getPhaseQueries(phases, _afterTransaction);
+};
+
+// the changes executed before, inside and after the main transaction
+const splitByTransaction = (changes) => {
+  const isBefore = ({ process }) => _beforeTransaction.includes(process);
+  const isAfter = ({ process }) => _afterTransaction.includes(process);
+  return {
+    before: changes.filter(isBefore),
+    main: changes.filter((change) => !isBefore(change) && !isAfter(change)),
+    after: changes.filter(isAfter),
+  };
+};
+
+const create = ({ names, metadata, changes }) => {
+  return {
+    version: VERSION,
+    createdAt: new Date().toISOString(),
+    fingerprint: {
+      database: fingerprint(metadata),
+    },
+    objects: names,
+    queries: getQueries(changes),
+    rollbackQueries: getRollbackQueries(changes),
+    destructiveQueries: getDestructiveQueries(changes),
+    phases: getPhases(changes),
+  };
+};
+
+// the names of the objects which are introspected before applying the plan
+const _objectKeys = [
+  'tables',
+  'sequences',
+  'views',
+  'enums',
+  'domains',
+  'composites',
+  'functions',
+  'extensions',
+  'schemas',
+];
+
+const _isStrings = (value) => {
+  return (
+    Array.isArray(value) && value.every((item) => typeof item === 'string')
+  );
+};
+
+const _isPhase = (phase) => {
+  return (
+    utils.isObject(phase) &&
+    typeof phase.process === 'string' &&
+    Array.isArray(phase.changes) &&
+    phase.changes.every(
+      (change) => utils.isObject(change) && _isStrings(change.queries)
+    )
+  );
+};
+
+const _isObjects = (objects) => {
+  return (
+    utils.isObject(objects) &&
+    _objectKeys.every((key) => _isStrings(objects[key])) &&
+    (objects.managedSchemas === undefined || _isStrings(objects.managedSchemas))
+  );
+};
+
+const validate = (plan) => {
+  if (
+    !utils.isObject(plan) ||
+    plan.version !== VERSION ||
+    !utils.isObject(plan.fingerprint) ||
+    typeof plan.fingerprint.database !== 'string' ||
+    !_isObjects(plan.objects) ||
+    !_isStrings(plan.queries) ||
+    !_isStrings(plan.rollbackQueries) ||
+    !_isStrings(plan.destructiveQueries) ||
+    !Array.isArray(plan.phases) ||
+    !plan.phases.every(_isPhase)
+  ) {
+    throw new SyncError('Invalid or unsupported migration plan');
+  }
+  return plan;
+};
+
+module.exports = {
+  VERSION,
+  fingerprint,
+  getQueries,
+  getRollbackQueries,
+  getDestructiveQueries,
+  getPhases,
+  getQueriesBeforeTransaction,
+  getQueriesAfterTransaction,
+  splitByTransaction,
+  create,
+  validate,
+};
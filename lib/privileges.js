@@ -0,0 +1,175 @@
+/**
+ * Copyright (c) 2018-present Andrew Vereshchak
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+'use strict';
+
+const utils = require('./utils');
+const helpers = require('./helpers');
+const ChangeStorage = require('./change-storage');
+const { ValidationError } = require('./errors');
+const { Privileges } = require('./constants');
+
+const _getAvailable = (type) => {
+  return type === 'sequence' ? Privileges.Sequence : Privileges.Relation;
+};
+
+const _quoteRole = (role) => {
+  return role === 'public' ? role : helpers.addQuotes(role);
+};
+
+const _getQuery = (action, type, name, role, items) => {
+  const columnPrivileges = {};
+  items
+    .filter(({ column }) => column)
+    .forEach(({ privilege, column }) => {
+      columnPrivileges[privilege] = columnPrivileges[privilege] || [];
+      columnPrivileges[privilege].push(helpers.addQuotes(column));
+    });
+  const list = _getAvailable(type)
+    .filter((privilege) => {
+      return items.some((item) => !item.column && item.privilege === privilege);
+    })
+    .map((privilege) => privilege.toLowerCase())
+    .concat(
+      Privileges.Column.filter((privilege) => columnPrivileges[privilege]).map(
+        (privilege) => {
+          const columns = columnPrivileges[privilege].join(', ');
+          return `${privilege.toLowerCase()} (${columns})`;
+        }
+      )
+    )
+    .join(', ');
+  const target = `${type === 'sequence' ? 'sequence' : 'table'} ${name}`;
+  role = _quoteRole(role);
+  return action === 'grant'
+    ? `grant ${list} on ${target} to ${role};`
+    : `revoke ${list} on ${target} from ${role};`;
+};
+
+const _groupByRole = (items) => {
+  return items.reduce((acc, item) => {
+    acc.set(item.role, [...(acc.get(item.role) || []), item]);
+    return acc;
+  }, new Map());
+};
+
+exports.getPrivileges = (relations) => {
+  relations = relations.map(helpers.escapeString).join(', ');
+  const role = `
+      case
+        when a.grantee = 0 then 'public'
+        else pg_catalog.pg_get_userbyid(a.grantee)
+      end`;
+  return `
+    select
+      n.nspname || '.' || c.relname as name,
+      ${role} as role,
+      a.privilege_type as privilege,
+      null as column
+    from pg_catalog.pg_class c
+      join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+      cross join lateral pg_catalog.aclexplode(c.relacl) a
+    where a.grantee <> c.relowner
+      and n.nspname || '.' || c.relname = any(array[${relations}])
+    union all
+    select
+      n.nspname || '.' || c.relname as name,
+      ${role} as role,
+      a.privilege_type as privilege,
+      at.attname as column
+    from pg_catalog.pg_class c
+      join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+      join pg_catalog.pg_attribute at
+        on at.attrelid = c.oid and at.attnum > 0 and not at.attisdropped
+      cross join lateral pg_catalog.aclexplode(at.attacl) a
+    where a.grantee <> c.relowner
+      and n.nspname || '.' || c.relname = any(array[${relations}]);`;
+};
+
+exports.find = async (client, names) => {
+  const result = new Map();
+  if (names.length === 0) {
+    return result;
+  }
+  const { rows } = await client.query(exports.getPrivileges(names));
+  rows.forEach(({ name, ...item }) => {
+    result.set(name, [...(result.get(name) || []), item]);
+  });
+  return result;
+};
+
+// the "grants" property is converted to the list of { role, privilege, column },
+// the privileges are case-insensitive
+exports.parse = (type, grants) => {
+  const result = [];
+  const add = (item) => {
+    if (!utils.findWhere(item, result)) {
+      result.push(item);
+    }
+  };
+  Object.entries(grants || {}).forEach(([role, privileges]) => {
+    const path = `properties.grants['${role}']`;
+    role = role.toLowerCase() === 'public' ? 'public' : role;
+    privileges.forEach((item) => {
+      const { privilege: name, columns = null } =
+        typeof item === 'string' ? { privilege: item } : item;
+      const privilege = name.toUpperCase();
+      if (columns) {
+        if (type === 'sequence' || !Privileges.Column.includes(privilege)) {
+          throw new ValidationError({
+            path,
+            message: `'${name}' is not supported for columns`,
+          });
+        }
+        columns.forEach((column) => add({ role, privilege, column }));
+      } else if (privilege === 'ALL') {
+        _getAvailable(type).forEach((privilege) => {
+          add({ role, privilege, column: null });
+        });
+      } else if (_getAvailable(type).includes(privilege)) {
+        add({ role, privilege, column: null });
+      } else {
+        throw new ValidationError({
+          path,
+          message: `'${name}' is not supported by ${type}s`,
+        });
+      }
+    });
+  });
+  return result;
+};
+
+exports.getChangeQueries = (object, received, options) => {
+  const queries = new ChangeStorage();
+  const { type } = object;
+  const name = object.getQuotedObjectName();
+  const privileges = object._privileges;
+
+  // the privileges are revoked only from the objects which declare them
+  if (options.allowClean.grant === true && object.properties.grants) {
+    const revoked = received.filter((item) => {
+      return !utils.findWhere(item, privileges);
+    });
+    _groupByRole(revoked).forEach((items, role) => {
+      queries.add(
+        _getQuery('revoke', type, name, role, items),
+        _getQuery('grant', type, name, role, items)
+      );
+    });
+  }
+
+  const granted = privileges.filter((item) => {
+    return !utils.findWhere(item, received);
+  });
+  _groupByRole(granted).forEach((items, role) => {
+    queries.add(
+      _getQuery('grant', type, name, role, items),
+      _getQuery('revoke', type, name, role, items)
+    );
+  });
+
+  return queries;
+};
@@ -51,6 +51,27 @@ const _aliases = {
   timestamptz: DataTypes.timeStampTZ,
 };
 
+const _quoteIdentifier = (identifier) => {
+  const name = /^".*"$/.test(identifier)
+    ? identifier.slice(1, -1).replace(/""/g, '"')
+    : identifier.toLowerCase();
+  return /^[a-z_][a-z0-9_$]*$/.test(name)
+    ? name
+    : `"${name.replace(/"/g, '""')}"`;
+};
+
+// user-defined types are printed by the server with the schema
+// only if it is not in the search path
+const _normalizeObjectType = (type) => {
+  const identifiers = type.match(/"(?:[^"]|"")*"|[^."]+/g).map((chunk) => {
+    return _quoteIdentifier(chunk.trim());
+  });
+  if (identifiers.length === 2 && identifiers[0] === 'public') {
+    identifiers.shift();
+  }
+  return identifiers.join('.');
+};
+
 const parse = (type) => {
   const cutArray = utils.cutFromString(/\[]|\[\w+]/g, type);
   type = cutArray.rest;
@@ -59,6 +80,9 @@ const parse = (type) => {
   type = cutArgs.rest;
 
   type = type.replace(/\s\s+/g, ' ').trim();
+  if (/[".]/.test(type)) {
+    type = _normalizeObjectType(type);
+  }
 
   const name = _aliases[type] || type;
   type = name;
@@ -107,6 +107,17 @@ exports.once = (fn) => {
   };
 };
 
+exports.memoize = (fn, resolver) => {
+  const cache = new Map();
+  return function () {
+    const key = resolver.apply(this, arguments);
+    if (!cache.has(key)) {
+      cache.set(key, fn.apply(this, arguments));
+    }
+    return cache.get(key);
+  };
+};
+
 exports.cutFromString = (regexp, target) => {
   let rest;
   const result = target.match(regexp);
@@ -29,4 +29,11 @@ const createValidator = (schema) => {
 module.exports = {
   table: createValidator(require('./schemas/define.table.json')),
   sequence: createValidator(require('./schemas/define.sequence.json')),
+  view: createValidator(require('./schemas/define.view.json')),
+  enum: createValidator(require('./schemas/define.enum.json')),
+  domain: createValidator(require('./schemas/define.domain.json')),
+  composite: createValidator(require('./schemas/define.composite.json')),
+  function: createValidator(require('./schemas/define.function.json')),
+  extension: createValidator(require('./schemas/define.extension.json')),
+  schema: createValidator(require('./schemas/define.schema.json')),
 };
@@ -0,0 +1,78 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const helpers = require('../../helpers');
+const Temp = require('../../temp');
+const { connectionString } = require('../../pg.config');
+
+const cliPath = path.join(helpers.rootPath, 'bin', 'cli');
+
+describe(`cli diff`, () => {
+  const schemas = Temp.allocateSpace();
+  const output = Temp.allocateSpace();
+
+  const users = {
+    name: 'DifferSchema.users',
+    columns: { id: 'integer' },
+  };
+
+  beforeEach(() => {
+    const differ = helpers.getDiffer();
+    differ.define('table', users);
+    return differ.sync({ force: true });
+  });
+
+  it(`should print pending changes and exit with code 2`, async function () {
+    schemas.json({
+      ext: 'schema.json',
+      data: {
+        type: 'table',
+        properties: {
+          ...users,
+          name: '${schema}.users',
+          columns: { ...users.columns, age: 'integer' },
+        },
+      },
+    });
+
+    const logger = jest.fn();
+    const sqlFile = path.join(output.root, 'changes.sql');
+
+    await expect(
+      helpers.execute(
+        cliPath,
+        [
+          'diff',
+          `--connection=${connectionString}`,
+          `--path=${schemas.root}`,
+          `--set=schema=DifferSchema`,
+          `--output=${sqlFile}`,
+        ],
+        logger
+      )
+    ).rejects.toBe(2);
+
+    const printed = logger.mock.calls.map(([data]) => data).join('');
+    expect(printed).toContain('-- DifferSchema.users');
+    expect(printed).toContain(
+      'alter table "DifferSchema"."users" add column "age" integer null;'
+    );
+    expect(fs.readFileSync(sqlFile, 'utf-8')).toEqual(
+      'alter table "DifferSchema"."users" add column "age" integer null;\n'
+    );
+  });
+
+  it(`should exit with code 0 without changes`, async function () {
+    schemas.json({
+      ext: 'schema.json',
+      data: { type: 'table', properties: users },
+    });
+
+    await helpers.execute(cliPath, [
+      'plan',
+      `--connection=${connectionString}`,
+      `--path=${schemas.root}`,
+    ]);
+  });
+});
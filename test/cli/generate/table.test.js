@@ -24,6 +24,7 @@ describe(`cli generate`, () => {
   };
   const users = {
     name: 'DifferSchema.users',
+    comment: 'Registered users',
     foreignKeys: [
       {
         columns: ['role'],
@@ -35,7 +36,7 @@ describe(`cli generate`, () => {
     ],
     columns: {
       id: { type: 'smallint', identity: true, primary: true },
-      role: 'integer',
+      role: { type: 'integer', comment: 'Role of the user' },
     },
   };
 
@@ -17,7 +17,9 @@ describe('schema validation', () => {
   it('invalid schema type', function () {
     expect(() => {
       differ.define('t', {});
-    }).toThrow(`type > should be one of ['table', 'sequence']`);
+    }).toThrow(
+      `type > should be one of ['table', 'sequence', 'view', 'enum', 'domain', 'composite', 'function', 'extension', 'schema']`
+    );
   });
 
   it(`invalid object name`, function () {
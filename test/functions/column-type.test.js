@@ -89,6 +89,31 @@ describe(`parse column type`, () => {
         arguments: ['varchar(16)', 64],
       },
     ],
+    [
+      '"DifferSchema"."money"[]',
+      {
+        pure: '"DifferSchema".money[]',
+        name: '"DifferSchema".money',
+        arguments: [],
+        dimensions: 1,
+      },
+    ],
+    [
+      'public.Address',
+      {
+        pure: 'address',
+        name: 'address',
+        arguments: [],
+      },
+    ],
+    [
+      'custom_schema."Address"',
+      {
+        pure: 'custom_schema."Address"',
+        name: 'custom_schema."Address"',
+        arguments: [],
+      },
+    ],
   ])('should parse "%s"', (type, expected) => {
     expect(Types.parse(type)).toEqual(expected);
   });
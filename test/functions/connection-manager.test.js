@@ -32,6 +32,18 @@ describe(`ConnectionManager`, () => {
     expect(result).toMatchObject({ rows: [{ number: 2048 }] });
   });
 
+  it('dryRun(client, callback)', async function () {
+    const result = await ConnectionManager.dryRun(connection.client, () => {
+      return connection.client.query('select 2048 as number');
+    });
+    expect(connection.client._querySpy.mock.calls).toEqual([
+      ['begin'],
+      ['select 2048 as number'],
+      ['rollback'],
+    ]);
+    expect(result).toMatchObject({ rows: [{ number: 2048 }] });
+  });
+
   it('transaction() rollback', async function () {
     await expect(
       ConnectionManager.transaction(connection.client, () => {
@@ -0,0 +1,33 @@
+'use strict';
+const naming = require('../../lib/naming');
+
+describe(`naming`, () => {
+  it.each([
+    ['users', 'id', 'idx', 'users_id_idx'],
+    ['users', null, 'pkey', 'users_pkey'],
+    [
+      'a'.repeat(40),
+      'b'.repeat(40),
+      'key',
+      `${'a'.repeat(29)}_${'b'.repeat(29)}_key`,
+    ],
+    ['a'.repeat(70), 'id', 'fkey', `${'a'.repeat(55)}_id_fkey`],
+  ])('makeObjectName(%s, %s, %s)', (name1, name2, label, expected) => {
+    expect(naming.makeObjectName(name1, name2, label)).toEqual(expected);
+  });
+
+  it.each([
+    ['index', { columns: ['id', 'age'] }, 'users_id_age_idx'],
+    ['unique', { columns: ['id'] }, 'users_id_key1'],
+    ['primaryKey', { columns: ['id'] }, 'users_pkey'],
+    ['foreignKey', { columns: ['role'] }, 'users_role_fkey'],
+    ['check', { condition: 'id > 0 AND id < 10' }, 'users_id_check'],
+    ['check', { condition: '"id" > age' }, 'users_check'],
+  ])('getDefaultName("%s")', (type, attributes, expected) => {
+    const name = naming.getDefaultName('users', type, attributes, {
+      columns: ['id', 'age', 'role'],
+      reserved: new Set(['users_id_key']),
+    });
+    expect(name).toEqual(expected);
+  });
+});
@@ -34,7 +34,7 @@ const execute = (processPath, args = [], logger) => {
   return new Promise((resolve, reject) => {
     childProcess.on('error', reject);
     childProcess.on('close', (code) => {
-      return code === 0 ? resolve() : reject();
+      return code === 0 ? resolve() : reject(code);
     });
     childProcess.stderr.once('data', (error) => reject(error.toString()));
     if (logger) {
@@ -0,0 +1,74 @@
+'use strict';
+
+const helpers = require('../../helpers');
+
+describe('drop column', () => {
+  let differ;
+  beforeEach(() => {
+    differ = helpers.getDiffer();
+  });
+
+  const columns = {
+    id: 'int',
+    name: { type: 'varchar(64)', default: 'unknown', nullable: false },
+    age: 'int',
+  };
+
+  it('should keep undefined columns by default', async function () {
+    differ.define('table', { name: 'DifferSchema.users', columns });
+    await differ.sync({ force: true });
+
+    differ.define('table', {
+      name: 'DifferSchema.users',
+      columns: { id: 'int' },
+    });
+
+    expect(await differ.sync()).toMatchObject({
+      queries: [],
+      destructiveQueries: [],
+    });
+  });
+
+  it('should drop undefined columns', async function () {
+    differ.define('table', { name: 'DifferSchema.users', columns });
+    await differ.sync({ force: true });
+
+    differ.define('table', {
+      name: 'DifferSchema.users',
+      columns: { id: 'int', age: { type: 'int', formerNames: ['years'] } },
+    });
+
+    const dropQuery = 'alter table "DifferSchema"."users" drop column "name";';
+    expect(await differ.sync({ allowClean: { columns: true } })).toEqual({
+      queries: [dropQuery],
+      destructiveQueries: [dropQuery],
+      rollbackQueries: [
+        `alter table "DifferSchema"."users" add column "name" character varying(64) default 'unknown' not null;`,
+      ],
+    });
+    expect(
+      await differ.sync({ allowClean: { columns: true }, execute: false })
+    ).toMatchObject({ queries: [] });
+  });
+
+  it('should not drop renamed columns', async function () {
+    differ.define('table', { name: 'DifferSchema.users', columns });
+    await differ.sync({ force: true });
+
+    differ.define('table', {
+      name: 'DifferSchema.users',
+      columns: {
+        id: columns.id,
+        name: columns.name,
+        years: { type: 'int', formerNames: ['age'] },
+      },
+    });
+
+    expect(await differ.sync({ allowClean: { columns: true } })).toMatchObject({
+      queries: [
+        'alter table "DifferSchema"."users" rename column "age" to "years";',
+      ],
+      destructiveQueries: [],
+    });
+  });
+});
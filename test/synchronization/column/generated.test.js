@@ -0,0 +1,170 @@
+'use strict';
+
+const helpers = require('../../helpers');
+
+describe('column.generated', () => {
+  let differ;
+  beforeEach(() => {
+    differ = helpers.getDiffer();
+  });
+
+  const columns = { price: 'numeric', quantity: 'int' };
+
+  it('should create the generated column', async function () {
+    differ.define('table', {
+      name: 'DifferSchema.items',
+      columns: {
+        ...columns,
+        total: {
+          type: 'numeric',
+          generated: { expression: 'price*quantity', stored: true },
+        },
+      },
+    });
+    expect(await differ.sync({ force: true })).toMatchObject({
+      queries: [
+        'drop table if exists "DifferSchema"."items" cascade;',
+        'create table "DifferSchema"."items" ( "price" numeric null, "quantity" integer null, "total" numeric generated always as (price*quantity) stored null );',
+      ],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should add the column again when its expression is changed', async function () {
+    differ.define('table', {
+      name: 'DifferSchema.items',
+      columns: {
+        ...columns,
+        total: { type: 'numeric', generated: { expression: 'price' } },
+      },
+    });
+    await differ.sync({ force: true });
+
+    differ.define('table', {
+      name: 'DifferSchema.items',
+      columns: {
+        ...columns,
+        total: { type: 'numeric', generated: { expression: 'price*quantity' } },
+      },
+    });
+    await expect(differ.sync()).rejects.toThrow(
+      `The expression of the generated column 'total' of the table 'DifferSchema.items' can be changed only with 'allowClean.columns', since the column is added again`
+    );
+    const queries = [
+      'alter table "DifferSchema"."items" drop column "total";',
+      'alter table "DifferSchema"."items" add column "total" numeric generated always as ((price * (quantity)::numeric)) stored null;',
+    ];
+    expect(await differ.sync({ allowClean: { columns: true } })).toEqual({
+      queries,
+      rollbackQueries: [
+        'alter table "DifferSchema"."items" drop column "total";',
+        'alter table "DifferSchema"."items" add column "total" numeric generated always as (price) stored null;',
+      ],
+      destructiveQueries: queries,
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should index the column added again', async function () {
+    const table = {
+      name: 'DifferSchema.items',
+      columns: {
+        ...columns,
+        total: { type: 'numeric', generated: { expression: 'price' } },
+      },
+      indexes: [{ columns: ['total'] }],
+    };
+    differ.define('table', table);
+    await differ.sync({ force: true });
+
+    differ.define('table', {
+      ...table,
+      columns: {
+        ...columns,
+        total: { type: 'numeric', generated: { expression: 'price*quantity' } },
+      },
+    });
+    expect(await differ.sync({ allowClean: { columns: true } })).toMatchObject({
+      destructiveQueries: [
+        'alter table "DifferSchema"."items" drop column "total";',
+        'alter table "DifferSchema"."items" add column "total" numeric generated always as ((price * (quantity)::numeric)) stored null;',
+      ],
+    });
+    expect(await differ.sync()).toMatchObject({
+      queries: ['create index on "DifferSchema"."items" ( "total" );'],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should turn the generated column into the plain one', async function () {
+    differ.define('table', {
+      name: 'DifferSchema.items',
+      columns: {
+        ...columns,
+        total: { type: 'numeric', generated: { expression: 'price' } },
+      },
+    });
+    await differ.sync({ force: true });
+
+    differ.define('table', {
+      name: 'DifferSchema.items',
+      columns: { ...columns, total: 'numeric' },
+    });
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        'alter table "DifferSchema"."items" alter column "total" drop expression;',
+      ],
+      rollbackQueries: [
+        'alter table "DifferSchema"."items" drop column "total";',
+        'alter table "DifferSchema"."items" add column "total" numeric generated always as (price) stored null;',
+      ],
+    });
+
+    differ.define('table', {
+      name: 'DifferSchema.items',
+      columns: {
+        ...columns,
+        total: { type: 'numeric', generated: { expression: 'price' } },
+      },
+    });
+    await expect(differ.sync()).rejects.toThrow(
+      `Change the column 'total' to the generated one can result in data loss`
+    );
+  });
+
+  it('should validate the generated column', function () {
+    expect(() => {
+      differ.define('table', {
+        name: 'DifferSchema.items',
+        columns: {
+          total: {
+            type: 'numeric',
+            default: 0,
+            generated: { expression: '1' },
+          },
+        },
+      });
+    }).toThrow(
+      `properties.columns['total'].generated > cannot be used with default or identity`
+    );
+    expect(() => {
+      differ.define('table', {
+        name: 'DifferSchema.items',
+        columns: {
+          total: {
+            type: 'numeric',
+            generated: { expression: '1', stored: false },
+          },
+        },
+      });
+    }).toThrow(
+      `properties.columns['total'].generated > only stored generated columns are supported`
+    );
+  });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const helpers = require('../helpers');
+
+describe('comment', () => {
+  let differ;
+
+  beforeEach(() => {
+    differ = helpers.getDiffer();
+  });
+
+  it('should add comments to the new table', async function () {
+    differ.define('table', {
+      name: 'DifferSchema.users',
+      comment: 'Registered users',
+      columns: {
+        id: 'int',
+        name: { type: 'text', comment: `User's full name` },
+      },
+    });
+
+    expect(await differ.sync({ force: true })).toEqual({
+      queries: [
+        'drop table if exists "DifferSchema"."users" cascade;',
+        'create table "DifferSchema"."users" ( "id" integer null, "name" text null );',
+        `comment on table "DifferSchema"."users" is 'Registered users';`,
+        `comment on column "DifferSchema"."users"."name" is 'User''s full name';`,
+      ],
+      rollbackQueries: [],
+      destructiveQueries: [],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should change only the different comments', async function () {
+    differ.define('table', {
+      name: 'DifferSchema.users',
+      comment: 'Registered users',
+      columns: {
+        id: { type: 'int', comment: 'Identifier' },
+        name: { type: 'text', comment: 'Name' },
+      },
+    });
+    await differ.sync({ force: true });
+
+    differ.define('table', {
+      name: 'DifferSchema.users',
+      comment: 'Registered users',
+      columns: {
+        id: 'int',
+        full_name: {
+          type: 'text',
+          comment: 'Full name',
+          formerNames: ['name'],
+        },
+      },
+    });
+    expect(await differ.sync()).toEqual({
+      queries: [
+        'alter table "DifferSchema"."users" rename column "name" to "full_name";',
+        `comment on column "DifferSchema"."users"."full_name" is 'Full name';`,
+      ],
+      rollbackQueries: [
+        `comment on column "DifferSchema"."users"."full_name" is 'Name';`,
+        'alter table "DifferSchema"."users" rename column "full_name" to "name";',
+      ],
+      destructiveQueries: [],
+    });
+
+    differ.define('table', {
+      name: 'DifferSchema.users',
+      comment: '',
+      columns: { id: 'int', full_name: 'text' },
+    });
+    expect(await differ.sync()).toMatchObject({
+      queries: ['comment on table "DifferSchema"."users" is null;'],
+    });
+  });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const helpers = require('../helpers');
+
+describe('composite', () => {
+  const connection = helpers.getConnection();
+  let differ;
+
+  beforeEach(async () => {
+    differ = helpers.getDiffer();
+    await connection.client.query(
+      `drop table if exists "DifferSchema"."users" cascade;
+       drop type if exists "DifferSchema"."Address" cascade;`
+    );
+  });
+
+  it('should create the composite type before the table', async function () {
+    differ.define('composite', {
+      name: 'DifferSchema.Address',
+      attributes: { city: 'varchar(64)', zip: 'int' },
+    });
+    differ.define('table', {
+      name: 'DifferSchema.users',
+      columns: { address: '"DifferSchema"."Address"[]' },
+    });
+
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        'create type "DifferSchema"."Address" as ( "city" character varying(64), "zip" integer );',
+        'create table "DifferSchema"."users" ( "address" "DifferSchema"."Address"[] null );',
+      ],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should add, drop and alter attributes', async function () {
+    differ.define('composite', {
+      name: 'DifferSchema.Address',
+      attributes: { city: 'varchar(64)', zip: 'int' },
+    });
+    await differ.sync();
+
+    differ.define('composite', {
+      name: 'DifferSchema.Address',
+      attributes: { city: 'text', street: 'text' },
+    });
+    const type = 'alter type "DifferSchema"."Address"';
+    expect(await differ.sync({ allowClean: { attributes: true } })).toEqual({
+      queries: [
+        `${type} drop attribute "zip";`,
+        `${type} alter attribute "city" type text;`,
+        `${type} add attribute "street" text;`,
+      ],
+      rollbackQueries: [
+        `${type} drop attribute "street";`,
+        `${type} alter attribute "city" type character varying(64);`,
+        `${type} add attribute "zip" integer;`,
+      ],
+      destructiveQueries: [`${type} drop attribute "zip";`],
+    });
+    expect(
+      await differ.sync({ allowClean: { attributes: true }, execute: false })
+    ).toMatchObject({ queries: [] });
+  });
+
+  it('should keep the undefined attributes by default', async function () {
+    differ.define('composite', {
+      name: 'DifferSchema.Address',
+      attributes: { city: 'varchar(64)', zip: 'int' },
+    });
+    await differ.sync();
+
+    differ.define('composite', {
+      name: 'DifferSchema.Address',
+      attributes: { city: 'varchar(64)' },
+    });
+    expect(await differ.sync()).toEqual({
+      queries: [],
+      rollbackQueries: [],
+      destructiveQueries: [],
+    });
+  });
+
+  it('should rename attributes', async function () {
+    differ.define('composite', {
+      name: 'DifferSchema.Address',
+      attributes: { city: 'varchar(64)', zip: 'int' },
+    });
+    await differ.sync();
+
+    differ.define('composite', {
+      name: 'DifferSchema.Address',
+      attributes: {
+        town: { type: 'text', formerNames: ['city'] },
+        zip: 'int',
+      },
+    });
+    const type = 'alter type "DifferSchema"."Address"';
+    expect(await differ.sync({ allowClean: { attributes: true } })).toEqual({
+      queries: [
+        `${type} rename attribute "city" to "town";`,
+        `${type} alter attribute "town" type text;`,
+      ],
+      rollbackQueries: [
+        `${type} alter attribute "town" type character varying(64);`,
+        `${type} rename attribute "town" to "city";`,
+      ],
+      destructiveQueries: [],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should index and check the column of the type created in the same sync', async function () {
+    differ.define('composite', {
+      name: 'DifferSchema.Address',
+      attributes: { city: 'varchar(64)', zip: 'int' },
+    });
+    differ.define('table', {
+      name: 'DifferSchema.users',
+      columns: { address: '"DifferSchema"."Address"' },
+      checks: [{ condition: '(address).zip > 0' }],
+      indexes: [{ columns: ['((address).city)'] }],
+    });
+
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        'create type "DifferSchema"."Address" as ( "city" character varying(64), "zip" integer );',
+        'create table "DifferSchema"."users" ( "address" "DifferSchema"."Address" null );',
+        'create index on "DifferSchema"."users" ( ((address).city) );',
+        'alter table "DifferSchema"."users" add check ( (address).zip > 0 );',
+      ],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+});
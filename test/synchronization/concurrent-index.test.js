@@ -0,0 +1,89 @@
+'use strict';
+
+const helpers = require('../helpers');
+
+describe('concurrent index', () => {
+  const connection = helpers.getConnection();
+  let differ;
+
+  const table = {
+    name: 'DifferSchema.users',
+    columns: { id: 'int', email: 'text' },
+  };
+
+  beforeEach(async () => {
+    differ = helpers.getDiffer();
+    differ.define('table', table);
+    await differ.sync({ force: true });
+  });
+
+  it('should build and drop indexes concurrently outside the transaction', async function () {
+    differ.define('table', {
+      ...table,
+      indexes: [{ columns: ['id'] }],
+    });
+    expect(await differ.sync({ concurrently: true })).toEqual({
+      queries: [
+        'create index concurrently on "DifferSchema"."users" ( "id" );',
+      ],
+      rollbackQueries: [
+        'drop index concurrently "DifferSchema"."users_id_idx";',
+      ],
+      destructiveQueries: [],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+
+    differ.define('table', table);
+    expect(
+      await differ.sync({ concurrently: true, allowClean: { indexes: true } })
+    ).toMatchObject({
+      queries: ['drop index concurrently "DifferSchema"."users_id_idx";'],
+    });
+  });
+
+  it('should build indexes of the new table inside the transaction', async function () {
+    differ.define('table', {
+      ...table,
+      indexes: [{ columns: ['id'] }],
+    });
+    expect(
+      await differ.sync({ force: true, concurrently: true })
+    ).toMatchObject({
+      queries: [
+        'drop table if exists "DifferSchema"."users" cascade;',
+        'create table "DifferSchema"."users" ( "id" integer null, "email" text null );',
+        'create index on "DifferSchema"."users" ( "id" );',
+      ],
+    });
+  });
+
+  it('should drop the invalid index left by the failed build', async function () {
+    await connection.client.query(
+      `insert into "DifferSchema"."users" values (1, 'a'), (2, 'a');`
+    );
+    await expect(
+      connection.client.query(
+        `create unique index concurrently "users_email" on "DifferSchema"."users" (email);`
+      )
+    ).rejects.toThrow('could not create unique index "users_email"');
+    await connection.client.query(
+      `delete from "DifferSchema"."users" where id = 2;`
+    );
+
+    differ.define('table', {
+      ...table,
+      indexes: [{ name: 'users_email', columns: ['email'], unique: true }],
+    });
+    expect(await differ.sync({ concurrently: true })).toMatchObject({
+      queries: [
+        'drop index concurrently "DifferSchema"."users_email";',
+        'create unique index concurrently "users_email" on "DifferSchema"."users" ( "email" );',
+      ],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+});
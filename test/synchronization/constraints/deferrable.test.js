@@ -0,0 +1,152 @@
+'use strict';
+
+const helpers = require('../../helpers');
+
+describe('deferrable constraints', () => {
+  const connection = helpers.getConnection();
+  let differ;
+
+  const roles = {
+    name: 'DifferSchema.roles',
+    columns: { id: 'int', owner_id: 'int' },
+    primaryKey: { columns: ['id'] },
+  };
+  const users = {
+    name: 'DifferSchema.users',
+    columns: { id: 'int', role_id: 'int' },
+    primaryKey: { columns: ['id'] },
+  };
+  const alterUsers = 'alter table "DifferSchema"."users"';
+  const alterRoles = 'alter table "DifferSchema"."roles"';
+
+  const dropTables = () => {
+    return connection.client.query(
+      `drop table if exists "DifferSchema"."users" cascade;
+       drop table if exists "DifferSchema"."roles" cascade;`
+    );
+  };
+
+  beforeEach(async () => {
+    differ = helpers.getDiffer();
+    await dropTables();
+  });
+
+  // the circular foreign keys would prevent other suites from dropping the tables
+  afterAll(dropTables);
+
+  it('should add deferrable constraints', async function () {
+    differ.define('table', roles);
+    differ.define('table', users);
+    await differ.sync();
+
+    differ.define('table', {
+      ...roles,
+      foreignKeys: [
+        {
+          columns: ['owner_id'],
+          references: { table: 'DifferSchema.users', columns: ['id'] },
+          deferrable: true,
+          initiallyDeferred: true,
+        },
+      ],
+    });
+    differ.define('table', {
+      ...users,
+      unique: [{ columns: ['role_id'], deferrable: true }],
+      foreignKeys: [
+        {
+          columns: ['role_id'],
+          references: { table: 'DifferSchema.roles', columns: ['id'] },
+          deferrable: true,
+          initiallyDeferred: true,
+        },
+      ],
+    });
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        `${alterRoles} add foreign key ( "owner_id" ) references "DifferSchema"."users" ( "id" ) deferrable initially deferred;`,
+        `${alterUsers} add unique ( "role_id" ) deferrable;`,
+        `${alterUsers} add foreign key ( "role_id" ) references "DifferSchema"."roles" ( "id" ) deferrable initially deferred;`,
+      ],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+
+    // circular inserts are checked at the commit
+    await connection.client.query(
+      `begin;
+       insert into "DifferSchema"."roles" values (1, 1);
+       insert into "DifferSchema"."users" values (1, 1);
+       commit;`
+    );
+  });
+
+  it('should alter the foreign key and recreate the other constraints', async function () {
+    const foreignKey = {
+      columns: ['role_id'],
+      references: { table: 'DifferSchema.roles', columns: ['id'] },
+    };
+    differ.define('table', roles);
+    differ.define('table', {
+      ...users,
+      unique: [{ columns: ['role_id'] }],
+      foreignKeys: [foreignKey],
+    });
+    await differ.sync();
+
+    differ.define('table', {
+      ...users,
+      unique: [{ columns: ['role_id'], deferrable: true }],
+      foreignKeys: [
+        { ...foreignKey, deferrable: true, initiallyDeferred: true },
+      ],
+    });
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        `${alterUsers} drop constraint "users_role_id_key";`,
+        `${alterUsers} add constraint "users_role_id_key" unique ( "role_id" ) deferrable;`,
+        `${alterUsers} alter constraint "users_role_id_fkey" deferrable initially deferred;`,
+      ],
+      rollbackQueries: [
+        `${alterUsers} alter constraint "users_role_id_fkey" not deferrable;`,
+        `${alterUsers} drop constraint "users_role_id_key";`,
+        `${alterUsers} add constraint "users_role_id_key" unique ( "role_id" );`,
+      ],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should refuse to make the referenced key deferrable', async function () {
+    differ.define('table', roles);
+    differ.define('table', {
+      ...users,
+      foreignKeys: [
+        {
+          columns: ['role_id'],
+          references: { table: 'DifferSchema.roles', columns: ['id'] },
+        },
+      ],
+    });
+    await differ.sync();
+
+    differ.define('table', {
+      ...roles,
+      primaryKey: { columns: ['id'], deferrable: true },
+    });
+    await expect(differ.sync()).rejects.toThrow(
+      `The constraint 'roles_pkey' of the table 'DifferSchema.roles' cannot be deferrable, since it is referenced by the foreign key 'users_role_id_fkey' of the table 'DifferSchema.users'`
+    );
+  });
+
+  it('should validate initially deferred constraints', function () {
+    expect(() => {
+      differ.define('table', {
+        ...users,
+        unique: [{ columns: ['role_id'], initiallyDeferred: true }],
+      });
+    }).toThrow('properties.unique[0].initiallyDeferred > requires deferrable');
+  });
+});
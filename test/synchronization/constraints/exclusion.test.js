@@ -0,0 +1,122 @@
+'use strict';
+
+const helpers = require('../../helpers');
+
+describe('exclusions', () => {
+  const connection = helpers.getConnection();
+  let differ;
+
+  const bookings = {
+    name: 'DifferSchema.bookings',
+    columns: { room: 'int', period: 'tsrange', canceled: 'boolean' },
+  };
+  const alter = 'alter table "DifferSchema"."bookings"';
+
+  beforeAll(async () => {
+    await connection.client.query(
+      `create extension if not exists "btree_gist";`
+    );
+  });
+
+  beforeEach(async () => {
+    differ = helpers.getDiffer();
+    differ.define('table', bookings);
+    await differ.sync({ force: true });
+  });
+
+  it('should add exclusions', async function () {
+    differ.define('table', {
+      ...bookings,
+      exclusions: [
+        {
+          elements: [
+            { column: 'room', operator: '=' },
+            { column: 'period', operator: '&&' },
+          ],
+          where: 'not canceled',
+        },
+        {
+          name: 'bookings_period_excl',
+          elements: ['period with -|-'],
+          deferrable: true,
+          initiallyDeferred: true,
+        },
+      ],
+    });
+    expect(await differ.sync()).toEqual({
+      queries: [
+        `${alter} add exclude using gist ( room WITH =, period WITH && ) where ((NOT canceled));`,
+        `${alter} add constraint "bookings_period_excl" exclude using gist ( period WITH -|- ) deferrable initially deferred;`,
+      ],
+      rollbackQueries: [
+        `${alter} drop constraint "bookings_period_excl";`,
+        `${alter} drop constraint "bookings_room_period_excl";`,
+      ],
+      destructiveQueries: [],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+
+    await connection.client.query(
+      `insert into "DifferSchema"."bookings" values (1, '[2020-01-01, 2020-01-03)', false);`
+    );
+    await expect(
+      connection.client.query(
+        `insert into "DifferSchema"."bookings" values (1, '[2020-01-02, 2020-01-04)', false);`
+      )
+    ).rejects.toThrow(
+      'conflicting key value violates exclusion constraint "bookings_room_period_excl"'
+    );
+  });
+
+  it('should recreate the changed exclusion', async function () {
+    const exclusion = {
+      name: 'bookings_room_period_excl',
+      elements: [
+        { column: 'room', operator: '=' },
+        { column: 'period', operator: '&&' },
+      ],
+    };
+    differ.define('table', { ...bookings, exclusions: [exclusion] });
+    await differ.sync();
+
+    differ.define('table', {
+      ...bookings,
+      exclusions: [{ ...exclusion, where: 'not canceled' }],
+    });
+    expect(
+      await differ.sync({ allowClean: { exclusions: true } })
+    ).toMatchObject({
+      queries: [
+        `${alter} drop constraint "bookings_room_period_excl";`,
+        `${alter} add constraint "bookings_room_period_excl" exclude using gist ( room WITH =, period WITH && ) where ((NOT canceled));`,
+      ],
+      rollbackQueries: [
+        `${alter} drop constraint "bookings_room_period_excl";`,
+        `${alter} add constraint "bookings_room_period_excl" exclude using gist ( room WITH =, period WITH && );`,
+      ],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should drop undefined exclusions', async function () {
+    differ.define('table', {
+      ...bookings,
+      exclusions: [{ elements: ['room with =', 'period with &&'] }],
+    });
+    await differ.sync();
+
+    differ.define('table', bookings);
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+    expect(
+      await differ.sync({ allowClean: { exclusions: true } })
+    ).toMatchObject({
+      queries: [`${alter} drop constraint "bookings_room_period_excl";`],
+    });
+  });
+});
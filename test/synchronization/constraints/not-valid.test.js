@@ -0,0 +1,112 @@
+'use strict';
+
+const helpers = require('../../helpers');
+
+describe('not valid constraints', () => {
+  const connection = helpers.getConnection();
+  let differ;
+
+  const roles = {
+    name: 'DifferSchema.roles',
+    columns: { id: 'int' },
+    primaryKey: { columns: ['id'] },
+  };
+  const users = {
+    name: 'DifferSchema.users',
+    columns: { id: 'int', role_id: 'int', age: 'int' },
+  };
+  const alter = 'alter table "DifferSchema"."users"';
+
+  beforeEach(async () => {
+    differ = helpers.getDiffer();
+    differ.define('table', roles);
+    differ.define('table', users);
+    await differ.sync({ force: true });
+    await connection.client.query(
+      `insert into "DifferSchema"."roles" values (1);
+       insert into "DifferSchema"."users" values (1, 1, 20);`
+    );
+  });
+
+  it('should add constraints as not valid and validate them after the transaction', async function () {
+    differ.define('table', {
+      ...users,
+      checks: [{ condition: 'age > 0' }],
+      foreignKeys: [
+        {
+          columns: ['role_id'],
+          references: { table: 'DifferSchema.roles', columns: ['id'] },
+        },
+      ],
+    });
+    expect(await differ.sync({ notValid: true })).toEqual({
+      queries: [
+        `${alter} add constraint "users_age_check" check ( age > 0 ) not valid;`,
+        `${alter} add constraint "users_role_id_fkey" foreign key ( "role_id" ) references "DifferSchema"."roles" ( "id" ) not valid;`,
+        `${alter} validate constraint "users_age_check";`,
+        `${alter} validate constraint "users_role_id_fkey";`,
+      ],
+      rollbackQueries: [
+        `${alter} drop constraint "users_role_id_fkey";`,
+        `${alter} drop constraint "users_age_check";`,
+      ],
+      destructiveQueries: [],
+      unvalidatedConstraints: [],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should validate the constraints left by the failed validation', async function () {
+    await connection.client.query(
+      `insert into "DifferSchema"."users" values (2, 1, -1);`
+    );
+    differ.define('table', {
+      ...users,
+      checks: [{ condition: 'age > 0' }],
+    });
+    await expect(differ.sync({ notValid: true })).rejects.toThrow(
+      'check constraint "users_age_check" of relation "users" is violated by some row'
+    );
+    expect(await differ.sync({ notValid: true, execute: false })).toMatchObject(
+      {
+        queries: [`${alter} validate constraint "users_age_check";`],
+        unvalidatedConstraints: [
+          { table: 'DifferSchema.users', name: 'users_age_check' },
+        ],
+      }
+    );
+
+    await connection.client.query(
+      `delete from "DifferSchema"."users" where id = 2;`
+    );
+    expect(await differ.sync({ notValid: true })).toMatchObject({
+      queries: [`${alter} validate constraint "users_age_check";`],
+      unvalidatedConstraints: [],
+    });
+  });
+
+  it('should set not null with the help of the validated check', async function () {
+    differ.define('table', {
+      ...users,
+      columns: {
+        ...users.columns,
+        age: { type: 'int', nullable: false, default: 0 },
+      },
+    });
+    expect(await differ.sync({ notValid: true })).toMatchObject({
+      queries: [
+        `${alter} alter column "age" set default 0;`,
+        `update "DifferSchema"."users" set "age" = 0 where "age" is null;`,
+        `${alter} add constraint "users_age_not_null" check ( "age" is not null ) not valid;`,
+        `${alter} validate constraint "users_age_not_null";`,
+        `${alter} alter column "age" set not null;`,
+        `${alter} drop constraint "users_age_not_null";`,
+      ],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+});
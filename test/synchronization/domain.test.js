@@ -0,0 +1,123 @@
+'use strict';
+
+const helpers = require('../helpers');
+
+describe('domain', () => {
+  const connection = helpers.getConnection();
+  let differ;
+
+  beforeEach(async () => {
+    differ = helpers.getDiffer();
+    await connection.client.query(
+      `drop table if exists "DifferSchema"."orders" cascade;
+       drop domain if exists "DifferSchema"."amount" cascade;`
+    );
+  });
+
+  it('should create the domain before the table', async function () {
+    differ.define('domain', {
+      name: 'DifferSchema.amount',
+      type: 'numeric(10,2)',
+      default: 0,
+      nullable: false,
+      checks: [{ name: 'positive', condition: 'value >= 0' }],
+    });
+    differ.define('table', {
+      name: 'DifferSchema.orders',
+      columns: { total: '"DifferSchema"."amount"' },
+    });
+
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        'create domain "DifferSchema"."amount" as numeric(10,2) default 0 not null constraint "positive" check (value >= 0);',
+        'create table "DifferSchema"."orders" ( "total" "DifferSchema".amount null );',
+      ],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should index and check the column of the domain created in the same sync', async function () {
+    differ.define('domain', {
+      name: 'DifferSchema.amount',
+      type: 'numeric(10,2)',
+    });
+    differ.define('table', {
+      name: 'DifferSchema.orders',
+      columns: { id: 'int', total: '"DifferSchema"."amount"' },
+      checks: [{ condition: 'total < 1000' }],
+      indexes: [
+        { columns: ['total'] },
+        { columns: ['id'], where: 'total > 0' },
+      ],
+    });
+
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        'create domain "DifferSchema"."amount" as numeric(10,2);',
+        'create table "DifferSchema"."orders" ( "id" integer null, "total" "DifferSchema".amount null );',
+        'create index on "DifferSchema"."orders" ( "total" );',
+        'create index on "DifferSchema"."orders" ( "id" ) where (total > 0);',
+        'alter table "DifferSchema"."orders" add check ( total < 1000 );',
+      ],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should alter the domain in place', async function () {
+    differ.define('domain', {
+      name: 'DifferSchema.amount',
+      type: 'numeric(10,2)',
+      default: 0,
+      checks: [
+        { name: 'positive', condition: 'value >= 0' },
+        { condition: 'value < 1000' },
+      ],
+    });
+    await differ.sync();
+
+    differ.define('domain', {
+      name: 'DifferSchema.amount',
+      type: 'numeric(10,2)',
+      nullable: false,
+      checks: [
+        { name: 'positive', condition: 'value > 0' },
+        { condition: 'value < 1000' },
+        { condition: 'value <> 13' },
+      ],
+    });
+    expect(await differ.sync()).toEqual({
+      queries: [
+        'alter domain "DifferSchema"."amount" drop default;',
+        'alter domain "DifferSchema"."amount" set not null;',
+        'alter domain "DifferSchema"."amount" drop constraint "positive";',
+        'alter domain "DifferSchema"."amount" add constraint "positive" check (value > 0);',
+        'alter domain "DifferSchema"."amount" add check (value <> 13);',
+      ],
+      rollbackQueries: [
+        'alter domain "DifferSchema"."amount" drop constraint "amount_check1";',
+        'alter domain "DifferSchema"."amount" drop constraint "positive";',
+        'alter domain "DifferSchema"."amount" add constraint "positive" CHECK (VALUE >= 0::numeric);',
+        'alter domain "DifferSchema"."amount" drop not null;',
+        'alter domain "DifferSchema"."amount" set default 0;',
+      ],
+      destructiveQueries: [],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should not change the domain type', async function () {
+    differ.define('domain', { name: 'DifferSchema.amount', type: 'int' });
+    await differ.sync();
+
+    differ.define('domain', { name: 'DifferSchema.amount', type: 'bigint' });
+    await expect(differ.sync()).rejects.toThrow(
+      `Changing the type of the domain 'DifferSchema.amount' is not supported`
+    );
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const helpers = require('../helpers');
+
+describe('dry run', () => {
+  const connection = helpers.getConnection();
+  let differ;
+
+  beforeEach(() => {
+    differ = helpers.getDiffer();
+  });
+
+  beforeAll(() => {
+    return connection.client.query(
+      `drop table if exists "DifferSchema"."users" cascade;`
+    );
+  });
+
+  it('should return the queries without applying them', async function () {
+    differ.define('table', {
+      name: 'DifferSchema.users',
+      columns: { id: 'bigint' },
+      checks: [{ condition: 'id > 0' }],
+    });
+
+    const expected = {
+      queries: [
+        'create table "DifferSchema"."users" ( "id" bigint null );',
+        'alter table "DifferSchema"."users" add check ( id > 0 );',
+      ],
+    };
+
+    expect(await differ.sync({ execute: false })).toMatchObject(expected);
+    expect(await differ.sync({ execute: false })).toMatchObject(expected);
+
+    const {
+      rows: [{ table }],
+    } = await connection.client.query(
+      `select to_regclass('"DifferSchema"."users"') as table`
+    );
+    expect(table).toBeNull();
+  });
+
+  it('should not apply changes without transaction', async function () {
+    differ.define('table', {
+      name: 'DifferSchema.users',
+      columns: { id: 'bigint' },
+    });
+
+    expect(
+      await differ.sync({ execute: false, transaction: false })
+    ).toMatchObject({
+      queries: ['create table "DifferSchema"."users" ( "id" bigint null );'],
+    });
+    expect(await differ.sync()).toMatchObject({
+      queries: ['create table "DifferSchema"."users" ( "id" bigint null );'],
+    });
+  });
+
+  it('should mark the queries executed after the transaction', async function () {
+    differ.define('table', {
+      name: 'DifferSchema.users',
+      columns: { id: 'bigint' },
+    });
+    await differ.sync();
+
+    const logging = jest.fn();
+    differ = helpers.getDiffer({ logging });
+    differ.define('table', {
+      name: 'DifferSchema.users',
+      columns: { id: 'bigint', email: 'text' },
+      indexes: [{ columns: ['email'] }],
+    });
+    await differ.sync({ execute: false, concurrently: true });
+    const messages = logging.mock.calls.map(([message]) => message);
+    expect(
+      messages.slice(
+        messages.indexOf(
+          'alter table "DifferSchema"."users" add column "email" text null;'
+        ),
+        -2
+      )
+    ).toEqual([
+      'alter table "DifferSchema"."users" add column "email" text null;',
+      'Postgres Differ > Executed after the transaction:',
+      'create index concurrently on "DifferSchema"."users" ( "email" );',
+    ]);
+  });
+});
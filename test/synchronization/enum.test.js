@@ -0,0 +1,175 @@
+'use strict';
+
+const helpers = require('../helpers');
+
+describe('enum', () => {
+  const connection = helpers.getConnection();
+  let differ;
+
+  const getValues = () => {
+    return connection.client
+      .query(`select enum_range(null::"DifferSchema".mood)::text[] as values`)
+      .then(({ rows: [{ values }] }) => values);
+  };
+
+  beforeEach(async () => {
+    differ = helpers.getDiffer();
+    await connection.client.query(
+      `drop table if exists "DifferSchema"."users" cascade;
+       drop type if exists "DifferSchema"."mood" cascade;`
+    );
+  });
+
+  it('should create the enum before the table', async function () {
+    differ.define('table', {
+      name: 'DifferSchema.users',
+      columns: { mood: '"DifferSchema".mood' },
+    });
+    differ.define('enum', {
+      name: 'DifferSchema.mood',
+      values: ['sad', 'ok', 'happy'],
+    });
+
+    expect(await differ.sync()).toEqual({
+      queries: [
+        `create type "DifferSchema"."mood" as enum ('sad', 'ok', 'happy');`,
+        'create table "DifferSchema"."users" ( "mood" "DifferSchema".mood null );',
+      ],
+      rollbackQueries: [
+        'drop table "DifferSchema"."users";',
+        'drop type "DifferSchema"."mood";',
+      ],
+      destructiveQueries: [],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should index a column of the enum created in the same sync', async function () {
+    differ.define('table', {
+      name: 'DifferSchema.users',
+      columns: { id: 'bigint', mood: '"DifferSchema".mood' },
+      indexes: [
+        { columns: ['mood'] },
+        { columns: ['id'], where: `mood <> 'sad'` },
+      ],
+    });
+    differ.define('enum', {
+      name: 'DifferSchema.mood',
+      values: ['sad', 'ok', 'happy'],
+    });
+
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        `create type "DifferSchema"."mood" as enum ('sad', 'ok', 'happy');`,
+        'create table "DifferSchema"."users" ( "id" bigint null, "mood" "DifferSchema".mood null );',
+        'create index on "DifferSchema"."users" ( "mood" );',
+        `create index on "DifferSchema"."users" ( "id" ) where (mood <> 'sad');`,
+      ],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should add and rename values', async function () {
+    differ.define('enum', { name: 'DifferSchema.mood', values: ['sad', 'ok'] });
+    await differ.sync();
+
+    differ.define('enum', {
+      name: 'DifferSchema.mood',
+      values: [
+        'awful',
+        { name: 'unhappy', formerNames: ['sad'] },
+        'ok',
+        'happy',
+      ],
+    });
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        `alter type "DifferSchema"."mood" rename value 'sad' to 'unhappy';`,
+        `alter type "DifferSchema"."mood" add value 'awful' before 'unhappy';`,
+        `alter type "DifferSchema"."mood" add value 'happy' after 'ok';`,
+      ],
+    });
+    expect(await getValues()).toEqual(['awful', 'unhappy', 'ok', 'happy']);
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should add the values before the transaction which uses them', async function () {
+    const table = {
+      name: 'DifferSchema.users',
+      columns: { mood: '"DifferSchema".mood' },
+    };
+    differ.define('enum', { name: 'DifferSchema.mood', values: ['sad', 'ok'] });
+    differ.define('table', table);
+    await differ.sync();
+
+    differ.define('enum', {
+      name: 'DifferSchema.mood',
+      values: ['sad', 'ok', 'happy'],
+    });
+    differ.define('table', {
+      ...table,
+      columns: { mood: { type: '"DifferSchema".mood', default: 'happy' } },
+    });
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        `alter type "DifferSchema"."mood" add value 'happy' after 'ok';`,
+        `alter table "DifferSchema"."users" alter column "mood" set default 'happy';`,
+      ],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should recreate the enum when values are removed', async function () {
+    differ.define('enum', {
+      name: 'DifferSchema.mood',
+      values: ['sad', 'ok', 'happy'],
+    });
+    differ.define('table', {
+      name: 'DifferSchema.users',
+      columns: {
+        mood: { type: '"DifferSchema".mood', default: 'happy' },
+        history: '"DifferSchema".mood[]',
+      },
+    });
+    differ.define('view', {
+      name: 'DifferSchema.happy_users',
+      query: `select mood from "DifferSchema".users where mood = 'happy'`,
+    });
+    await differ.sync();
+    await connection.client.query(
+      `insert into "DifferSchema"."users" values ('happy', '{sad,happy}')`
+    );
+
+    differ.define('enum', {
+      name: 'DifferSchema.mood',
+      values: ['happy', 'sad'],
+    });
+    const alter = 'alter table "DifferSchema"."users" alter column';
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        'drop view "DifferSchema"."happy_users";',
+        'alter type "DifferSchema"."mood" rename to "temp_mood";',
+        `create type "DifferSchema"."mood" as enum ('happy', 'sad');`,
+        `${alter} "mood" drop default;`,
+        `${alter} "mood" type "DifferSchema"."mood" using "mood"::text::"DifferSchema"."mood";`,
+        `${alter} "mood" set default 'happy'::"DifferSchema".mood;`,
+        `${alter} "history" type "DifferSchema"."mood"[] using "history"::text[]::"DifferSchema"."mood"[];`,
+        'drop type "DifferSchema"."temp_mood";',
+        `create view "DifferSchema"."happy_users" as select mood from "DifferSchema".users where mood = 'happy';`,
+      ],
+    });
+    expect(await getValues()).toEqual(['happy', 'sad']);
+    const { rows } = await connection.client.query(
+      `select mood::text, history::text from "DifferSchema"."users"`
+    );
+    expect(rows).toEqual([{ mood: 'happy', history: '{sad,happy}' }]);
+  });
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+const helpers = require('../helpers');
+
+describe('extension', () => {
+  const connection = helpers.getConnection();
+  let differ;
+
+  const getExtension = () => {
+    return connection.client
+      .query(
+        `select n.nspname as schema, e.extversion as version
+         from pg_catalog.pg_extension e
+           join pg_catalog.pg_namespace n on n.oid = e.extnamespace
+         where e.extname = 'citext'`
+      )
+      .then(({ rows: [row = null] }) => row);
+  };
+
+  beforeEach(async () => {
+    differ = helpers.getDiffer();
+    await connection.client.query(
+      `drop table if exists "DifferSchema"."users";
+       drop extension if exists "citext" cascade;`
+    );
+  });
+
+  afterAll(async () => {
+    await connection.client.query(`drop extension if exists "citext" cascade;`);
+  });
+
+  it('should create the extension before tables', async function () {
+    differ.define('table', {
+      name: 'DifferSchema.users',
+      columns: { email: '"DifferSchema".citext' },
+    });
+    differ.define('extension', {
+      name: 'citext',
+      schema: 'DifferSchema',
+      version: '1.5',
+    });
+
+    expect(await differ.sync()).toEqual({
+      queries: [
+        `create extension "citext" schema "DifferSchema" version '1.5';`,
+        'create table "DifferSchema"."users" ( "email" "DifferSchema".citext null );',
+      ],
+      rollbackQueries: [
+        'drop table "DifferSchema"."users";',
+        'drop extension "citext";',
+      ],
+      destructiveQueries: [],
+    });
+    expect(await getExtension()).toEqual({
+      schema: 'DifferSchema',
+      version: '1.5',
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should check and index the columns of the extension type', async function () {
+    const table = {
+      name: 'DifferSchema.users',
+      columns: { email: '"DifferSchema".citext' },
+      checks: [{ condition: `email like '%@%'` }],
+      indexes: [{ columns: ['email'] }, { columns: ['lower(email)'] }],
+    };
+    const extension = { name: 'citext', schema: 'DifferSchema' };
+    differ.define('table', table);
+    differ.define('extension', extension);
+
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        `create extension "citext" schema "DifferSchema";`,
+        'create table "DifferSchema"."users" ( "email" "DifferSchema".citext null );',
+        'create index on "DifferSchema"."users" ( "email" );',
+        'create index on "DifferSchema"."users" ( lower(email) );',
+        `alter table "DifferSchema"."users" add check ( email like '%@%' );`,
+      ],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+
+    // the column of the extension type is added to the existing table
+    await connection.client.query(
+      `drop table "DifferSchema"."users";
+       drop extension "citext";
+       create table "DifferSchema"."users" ( "id" bigint );`
+    );
+    differ = helpers.getDiffer();
+    differ.define('table', {
+      ...table,
+      columns: { id: 'bigint', ...table.columns },
+    });
+    differ.define('extension', extension);
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        `create extension "citext" schema "DifferSchema";`,
+        'alter table "DifferSchema"."users" add column "email" "DifferSchema".citext null;',
+        'create index on "DifferSchema"."users" ( "email" );',
+        'create index on "DifferSchema"."users" ( lower(email) );',
+        `alter table "DifferSchema"."users" add check ( email like '%@%' );`,
+      ],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should update the extension', async function () {
+    differ.define('extension', { name: 'citext', version: '1.5' });
+    await differ.sync();
+
+    differ.define('extension', {
+      name: 'citext',
+      schema: 'DifferSchema',
+      version: '1.6',
+    });
+    expect(await differ.sync()).toEqual({
+      queries: [
+        'alter extension "citext" set schema "DifferSchema";',
+        `alter extension "citext" update to '1.6';`,
+      ],
+      rollbackQueries: [
+        `alter extension "citext" update to '1.5';`,
+        'alter extension "citext" set schema "public";',
+      ],
+      destructiveQueries: [],
+    });
+    expect(await getExtension()).toEqual({
+      schema: 'DifferSchema',
+      version: '1.6',
+    });
+  });
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+const path = require('path');
+const helpers = require('../helpers');
+const Temp = require('../temp');
+
+describe('function', () => {
+  const connection = helpers.getConnection();
+  const tmp = Temp.allocateSpace();
+  let differ;
+
+  const add = {
+    name: 'DifferSchema.add',
+    arguments: [
+      { name: 'a', type: 'int' },
+      { name: 'b', type: 'int', default: 1 },
+    ],
+    returns: 'int',
+    volatility: 'IMMUTABLE',
+    body: 'select a + b',
+  };
+
+  beforeEach(async () => {
+    differ = helpers.getDiffer();
+    await connection.client.query(
+      `drop function if exists "DifferSchema"."add";
+       drop procedure if exists "DifferSchema"."log";`
+    );
+  });
+
+  it('should create functions and procedures', async function () {
+    differ.define('function', add);
+    differ.define('function', {
+      name: 'DifferSchema.log',
+      procedure: true,
+      arguments: ['text'],
+      language: 'plpgsql',
+      securityDefiner: true,
+      body: `begin raise notice '%', $1; end`,
+    });
+
+    expect(await differ.sync()).toEqual({
+      queries: [
+        `create or replace function "DifferSchema"."add"("a" int, "b" int default 1) returns int language sql immutable as $function$select a + b$function$;`,
+        `create or replace procedure "DifferSchema"."log"(text) language plpgsql security definer as $procedure$begin raise notice '%', $1; end$procedure$;`,
+      ],
+      rollbackQueries: [
+        'drop procedure "DifferSchema"."log"(text);',
+        'drop function "DifferSchema"."add"(int, int);',
+      ],
+      destructiveQueries: [],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should replace the function when its body is changed', async function () {
+    differ.define('function', add);
+    await differ.sync();
+
+    differ.define('function', {
+      ...add,
+      volatility: 'STABLE',
+      body: 'select a + b + 0',
+    });
+    const { queries, rollbackQueries } = await differ.sync();
+    expect(queries).toEqual([
+      `create or replace function "DifferSchema"."add"("a" int, "b" int default 1) returns int language sql stable as $function$select a + b + 0$function$;`,
+    ]);
+    expect(rollbackQueries).toEqual([
+      expect.stringMatching(
+        /^CREATE OR REPLACE FUNCTION "DifferSchema".add\(a integer, b integer DEFAULT 1\)[\s\S]+IMMUTABLE[\s\S]+\$function\$select a \+ b\$function\$;$/
+      ),
+    ]);
+    await connection.client.query(rollbackQueries.join('\n'));
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: queries,
+    });
+  });
+
+  it('should recreate the function when its signature is changed', async function () {
+    differ.define('function', add);
+    await differ.sync();
+
+    differ.define('function', {
+      ...add,
+      arguments: ['bigint', 'bigint'],
+      returns: 'bigint',
+      body: 'select $1 + $2',
+    });
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        'drop function "DifferSchema"."add"(a integer, b integer);',
+        `create or replace function "DifferSchema"."add"(bigint, bigint) returns bigint language sql immutable as $function$select $1 + $2$function$;`,
+      ],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should read the body from the file', async function () {
+    const { path: bodyPath } = tmp.file({
+      data: 'select $1 * $2',
+      ext: 'sql',
+    });
+    const { path: schemaPath } = tmp.json({
+      data: {
+        type: 'function',
+        properties: {
+          name: 'DifferSchema.add',
+          arguments: ['int', 'int'],
+          returns: 'int',
+          bodyPath: `./${path.basename(bodyPath)}`,
+        },
+      },
+    });
+    differ.import(schemaPath);
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        `create or replace function "DifferSchema"."add"(int, int) returns int language sql volatile as $function$select $1 * $2$function$;`,
+      ],
+    });
+  });
+});
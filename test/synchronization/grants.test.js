@@ -0,0 +1,165 @@
+'use strict';
+
+const helpers = require('../helpers');
+
+describe('grants', () => {
+  const connection = helpers.getConnection();
+  let differ;
+
+  const table = {
+    name: 'DifferSchema.reports',
+    columns: { id: 'int', title: 'text', secret: 'text' },
+  };
+
+  const dropObjects = () => {
+    return connection.client.query(
+      `drop table if exists "DifferSchema"."reports" cascade;
+       drop sequence if exists "DifferSchema"."report_numbers";
+       drop role if exists "DifferReporter";`
+    );
+  };
+
+  beforeEach(async () => {
+    differ = helpers.getDiffer();
+    await dropObjects();
+    await connection.client.query(`create role "DifferReporter";`);
+  });
+
+  afterAll(dropObjects);
+
+  it('should grant privileges', async function () {
+    differ.define('table', {
+      ...table,
+      grants: {
+        DifferReporter: ['SELECT', { privilege: 'UPDATE', columns: ['title'] }],
+        PUBLIC: ['REFERENCES'],
+      },
+    });
+    differ.define('sequence', {
+      name: 'DifferSchema.report_numbers',
+      grants: { DifferReporter: ['ALL'] },
+    });
+    differ.define('view', {
+      name: 'DifferSchema.report_titles',
+      query: 'select title from "DifferSchema".reports',
+      grants: { DifferReporter: ['SELECT'] },
+    });
+
+    const { queries } = await differ.sync();
+    expect(queries.slice(-4)).toEqual([
+      'grant select, update ("title") on table "DifferSchema"."reports" to "DifferReporter";',
+      'grant references on table "DifferSchema"."reports" to public;',
+      'grant usage, select, update on sequence "DifferSchema"."report_numbers" to "DifferReporter";',
+      'grant select on table "DifferSchema"."report_titles" to "DifferReporter";',
+    ]);
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should grant and revoke the difference', async function () {
+    differ.define('table', {
+      ...table,
+      grants: { DifferReporter: ['SELECT', 'INSERT'] },
+    });
+    await differ.sync();
+
+    differ.define('table', {
+      ...table,
+      grants: {
+        DifferReporter: ['SELECT', { privilege: 'UPDATE', columns: ['title'] }],
+      },
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [
+        'grant update ("title") on table "DifferSchema"."reports" to "DifferReporter";',
+      ],
+    });
+    expect(await differ.sync({ allowClean: { grants: true } })).toEqual({
+      queries: [
+        'revoke insert on table "DifferSchema"."reports" from "DifferReporter";',
+        'grant update ("title") on table "DifferSchema"."reports" to "DifferReporter";',
+      ],
+      rollbackQueries: [
+        'revoke update ("title") on table "DifferSchema"."reports" from "DifferReporter";',
+        'grant insert on table "DifferSchema"."reports" to "DifferReporter";',
+      ],
+      destructiveQueries: [],
+    });
+  });
+
+  it('should not revoke privileges of the objects without grants', async function () {
+    differ.define('table', table);
+    await differ.sync();
+    await connection.client.query(
+      `grant select on table "DifferSchema"."reports" to "DifferReporter";`
+    );
+
+    expect(
+      await differ.sync({ allowClean: { grants: true }, execute: false })
+    ).toMatchObject({ queries: [] });
+  });
+
+  it('should grant privileges of the recreated view again', async function () {
+    differ.define('table', table);
+    differ.define('view', {
+      name: 'DifferSchema.report_titles',
+      query: 'select id, title from "DifferSchema".reports',
+      grants: { DifferReporter: ['SELECT'] },
+    });
+    await differ.sync();
+
+    differ.define('view', {
+      name: 'DifferSchema.report_titles',
+      query: 'select title from "DifferSchema".reports',
+      grants: { DifferReporter: ['SELECT'] },
+    });
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        'drop view "DifferSchema"."report_titles";',
+        'create view "DifferSchema"."report_titles" as select title from "DifferSchema".reports;',
+        'grant select on table "DifferSchema"."report_titles" to "DifferReporter";',
+      ],
+    });
+  });
+
+  it('should validate privileges', function () {
+    expect(() => {
+      differ.define('sequence', {
+        name: 'DifferSchema.report_numbers',
+        grants: { DifferReporter: ['DELETE'] },
+      });
+    }).toThrow(
+      `properties.grants['DifferReporter'] > 'DELETE' is not supported by sequences`
+    );
+    expect(() => {
+      differ.define('table', {
+        ...table,
+        grants: {
+          DifferReporter: [{ privilege: 'DELETE', columns: ['title'] }],
+        },
+      });
+    }).toThrow('properties.grants');
+    expect(() => {
+      differ.define('table', {
+        ...table,
+        grants: { DifferReporter: ['USAGE'] },
+      });
+    }).toThrow(
+      `properties.grants['DifferReporter'] > 'USAGE' is not supported by tables`
+    );
+  });
+
+  it('should accept privileges in lower case', async function () {
+    differ.define('table', {
+      ...table,
+      grants: {
+        DifferReporter: ['select', { privilege: 'update', columns: ['title'] }],
+      },
+    });
+    const { queries } = await differ.sync();
+    expect(queries.slice(-1)).toEqual([
+      'grant select, update ("title") on table "DifferSchema"."reports" to "DifferReporter";',
+    ]);
+  });
+});
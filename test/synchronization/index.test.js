@@ -1,5 +1,7 @@
 'use strict';
 
+const helpers = require('../helpers');
+
 require('./test-factories').indexOrConstraintTest('indexes', {
   properties: [
     {
@@ -18,3 +20,185 @@ require('./test-factories').indexOrConstraintTest('indexes', {
     `drop index "DifferSchema"."users_id_idx";`,
   ],
 });
+
+describe('index options', () => {
+  let differ;
+
+  const table = {
+    name: 'DifferSchema.users',
+    columns: {
+      id: 'bigint',
+      email: 'text',
+      name: 'text',
+      deleted_at: 'timestamp',
+    },
+  };
+
+  beforeEach(async () => {
+    differ = helpers.getDiffer();
+    differ.define('table', table);
+    await differ.sync({ force: true });
+  });
+
+  it('should create partial, expression and covering indexes', async function () {
+    differ.define('table', {
+      ...table,
+      indexes: [
+        {
+          columns: [{ expression: 'lower(email)' }],
+          unique: true,
+          where: 'deleted_at is null',
+        },
+        {
+          columns: [
+            { column: 'name', collate: 'C', opclass: 'text_pattern_ops' },
+            { column: 'id', order: 'DESC', nulls: 'LAST' },
+          ],
+          include: ['email'],
+        },
+      ],
+    });
+
+    expect(await differ.sync()).toEqual({
+      queries: [
+        'create unique index on "DifferSchema"."users" ( lower(email) ) where (deleted_at IS NULL);',
+        'create index on "DifferSchema"."users" ( name COLLATE "C" text_pattern_ops, id DESC NULLS LAST ) include ( "email" );',
+      ],
+      rollbackQueries: [
+        'drop index "DifferSchema"."users_name_id_email_idx";',
+        'drop index "DifferSchema"."users_lower_key";',
+      ],
+      destructiveQueries: [],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+
+    differ.define('table', {
+      ...table,
+      indexes: [
+        {
+          columns: [{ expression: 'lower(email)' }],
+          unique: true,
+          where: 'deleted_at is null',
+        },
+      ],
+    });
+    expect(await differ.sync({ allowClean: { indexes: true } })).toEqual({
+      queries: ['drop index "DifferSchema"."users_name_id_email_idx";'],
+      rollbackQueries: [
+        'create index "users_name_id_email_idx" on "DifferSchema"."users" ( name COLLATE "C" text_pattern_ops, id DESC NULLS LAST ) include ( "email" );',
+      ],
+      destructiveQueries: [],
+    });
+  });
+
+  it('should distinguish the changed index options', async function () {
+    differ.define('table', {
+      ...table,
+      indexes: [{ columns: ['email'], where: 'deleted_at is null' }],
+    });
+    await differ.sync();
+
+    differ.define('table', {
+      ...table,
+      indexes: [{ columns: ['email'], unique: true }],
+    });
+    expect(await differ.sync({ allowClean: { indexes: true } })).toMatchObject({
+      queries: [
+        'drop index "DifferSchema"."users_email_idx";',
+        'create unique index on "DifferSchema"."users" ( "email" );',
+      ],
+    });
+  });
+
+  it('should rebuild the changed named index', async function () {
+    differ.define('table', {
+      ...table,
+      indexes: [{ name: 'users_email', columns: ['email'] }],
+    });
+    await differ.sync();
+
+    differ.define('table', {
+      ...table,
+      indexes: [
+        {
+          name: 'users_email',
+          columns: [{ expression: 'lower(email)' }],
+          include: ['name'],
+        },
+      ],
+    });
+    const expected = {
+      queries: [
+        'create index "users_email_new" on "DifferSchema"."users" ( lower(email) ) include ( "name" );',
+        'drop index "DifferSchema"."users_email";',
+        'alter index "DifferSchema"."users_email_new" rename to "users_email";',
+      ],
+      rollbackQueries: [
+        'create index "users_email_new" on "DifferSchema"."users" ( "email" );',
+        'drop index "DifferSchema"."users_email";',
+        'alter index "DifferSchema"."users_email_new" rename to "users_email";',
+      ],
+      destructiveQueries: [],
+    };
+    expect(await differ.sync({ execute: false })).toEqual(expected);
+    expect(await differ.sync({ allowClean: { indexes: true } })).toEqual(
+      expected
+    );
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should choose the temporary name not taken by other indexes', async function () {
+    differ.define('table', {
+      ...table,
+      indexes: [
+        { name: 'users_email', columns: ['email'] },
+        { name: 'users_email_new', columns: ['name'] },
+      ],
+    });
+    await differ.sync();
+
+    differ.define('table', {
+      ...table,
+      indexes: [
+        { name: 'users_email', columns: ['lower(email)'] },
+        { name: 'users_email_new', columns: ['name'] },
+      ],
+    });
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        'create index "users_email_new1" on "DifferSchema"."users" ( lower(email) );',
+        'drop index "DifferSchema"."users_email";',
+        'alter index "DifferSchema"."users_email_new1" rename to "users_email";',
+      ],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should rename the index instead of creating a duplicate', async function () {
+    differ.define('table', { ...table, indexes: [{ columns: ['email'] }] });
+    await differ.sync();
+
+    differ.define('table', {
+      ...table,
+      indexes: [{ name: 'users_email', columns: ['email'] }],
+    });
+    expect(await differ.sync({ allowClean: { indexes: true } })).toEqual({
+      queries: [
+        'alter index "DifferSchema"."users_email_idx" rename to "users_email";',
+      ],
+      rollbackQueries: [
+        'alter index "DifferSchema"."users_email" rename to "users_email_idx";',
+      ],
+      destructiveQueries: [],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+const helpers = require('../helpers');
+
+describe('managed schemas', () => {
+  const connection = helpers.getConnection();
+  let differ;
+
+  beforeAll(async () => {
+    await connection.client.query(
+      `drop schema if exists "DifferManagedSchema" cascade;
+       create schema "DifferManagedSchema";`
+    );
+  });
+  afterAll(async () => {
+    await connection.client.query(
+      `drop schema if exists "DifferManagedSchema" cascade;`
+    );
+  });
+  beforeEach(async () => {
+    differ = helpers.getDiffer();
+    await connection.client.query(
+      `drop table if exists "DifferManagedSchema"."users", "DifferManagedSchema"."logs" cascade;
+       drop sequence if exists "DifferManagedSchema"."counter";
+       create table "DifferManagedSchema"."users" (id int primary key, code serial);
+       create table "DifferManagedSchema"."logs" (id int generated always as identity);
+       create sequence "DifferManagedSchema"."counter";`
+    );
+  });
+
+  it('should keep undefined objects by default', async function () {
+    differ.define('table', {
+      name: 'DifferManagedSchema.users',
+      columns: { id: { type: 'int', primary: true } },
+    });
+
+    expect(
+      await differ.sync({ managedSchemas: ['DifferManagedSchema'] })
+    ).toMatchObject({ queries: [], destructiveQueries: [] });
+  });
+
+  it('should drop undefined objects', async function () {
+    differ.define('table', {
+      name: 'DifferManagedSchema.users',
+      columns: { id: { type: 'int', primary: true } },
+    });
+
+    const queries = [
+      'drop table if exists "DifferManagedSchema"."logs";',
+      'drop sequence if exists "DifferManagedSchema"."counter";',
+    ];
+    expect(
+      await differ.sync({
+        managedSchemas: ['DifferManagedSchema'],
+        allowClean: { tables: true, sequences: true },
+      })
+    ).toEqual({ queries, destructiveQueries: queries, rollbackQueries: [] });
+    expect(
+      await differ.sync({
+        managedSchemas: ['DifferManagedSchema'],
+        allowClean: { tables: true, sequences: true },
+        execute: false,
+      })
+    ).toMatchObject({ queries: [] });
+  });
+
+  it('should drop the tables referencing each other but not their dependent views', async function () {
+    await connection.client.query(
+      `alter table "DifferManagedSchema"."logs" add primary key (id);
+       alter table "DifferManagedSchema"."users" add column log_id int references "DifferManagedSchema"."logs";
+       alter table "DifferManagedSchema"."logs" add column user_id int references "DifferManagedSchema"."users";
+       create view "DifferManagedSchema"."user_ids" as select id from "DifferManagedSchema"."users";`
+    );
+    const options = {
+      managedSchemas: ['DifferManagedSchema'],
+      allowClean: { tables: true },
+    };
+
+    await expect(differ.sync(options)).rejects.toThrow(
+      'because other objects depend on'
+    );
+
+    await connection.client.query(
+      `drop view "DifferManagedSchema"."user_ids";`
+    );
+    expect(await differ.sync(options)).toMatchObject({
+      queries: [
+        'drop table if exists "DifferManagedSchema"."logs", "DifferManagedSchema"."users";',
+      ],
+    });
+  });
+
+  it('should not drop protected objects', async function () {
+    expect(
+      await differ.sync({
+        managedSchemas: ['DifferManagedSchema'],
+        protectedObjects: [
+          'DifferManagedSchema.users',
+          'DifferManagedSchema.counter',
+        ],
+        allowClean: { tables: true, sequences: true },
+        execute: false,
+      })
+    ).toMatchObject({
+      queries: ['drop table if exists "DifferManagedSchema"."logs";'],
+    });
+  });
+
+  it('should not touch objects outside managed schemas', async function () {
+    expect(
+      await differ.sync({
+        allowClean: { tables: true, sequences: true },
+        execute: false,
+      })
+    ).toMatchObject({ queries: [] });
+  });
+
+  it('should include managed objects in the plan', async function () {
+    const plan = await differ.plan({
+      managedSchemas: ['DifferManagedSchema'],
+      protectedObjects: [
+        'DifferManagedSchema.users',
+        'DifferManagedSchema.logs',
+      ],
+      allowClean: { sequences: true },
+    });
+    expect(plan.objects.managedSchemas).toEqual(['DifferManagedSchema']);
+    expect(plan.phases).toEqual([
+      {
+        process: 'dropping objects',
+        changes: [
+          {
+            object: 'DifferManagedSchema.counter',
+            queries: [
+              'drop sequence if exists "DifferManagedSchema"."counter";',
+            ],
+          },
+        ],
+      },
+    ]);
+
+    await connection.client.query(
+      `create sequence "DifferManagedSchema"."extra";`
+    );
+    await expect(differ.apply(plan)).rejects.toThrow(
+      'The database has changed since the plan was created'
+    );
+  });
+});
@@ -0,0 +1,172 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const helpers = require('../helpers');
+const Temp = require('../temp');
+
+describe('migration files', () => {
+  const connection = helpers.getConnection();
+  const tmp = Temp.allocateSpace();
+
+  const users = {
+    name: 'DifferSchema.users',
+    columns: { id: 'bigint' },
+  };
+
+  const createQuery =
+    'create table "DifferSchema"."users" ( "id" bigint null );';
+
+  let differ;
+
+  beforeEach(async () => {
+    await connection.client.query(
+      `drop table if exists "DifferSchema"."users" cascade;`
+    );
+    differ = helpers.getDiffer();
+    differ.define('table', users);
+  });
+
+  it('should write the SQL file instead of executing', async function () {
+    const result = await differ.sync({
+      migration: { directory: tmp.root, name: 'create users' },
+    });
+    expect(result).toMatchObject({ queries: [createQuery] });
+    expect(path.basename(result.migration)).toMatch(
+      /^\d{14}_create_users\.sql$/
+    );
+    expect(fs.readFileSync(result.migration, 'utf-8')).toEqual(
+      createQuery + '\n'
+    );
+
+    const {
+      rows: [{ table }],
+    } = await connection.client.query(
+      `select to_regclass('"DifferSchema"."users"') as table`
+    );
+    expect(table).toBeNull();
+  });
+
+  it('should use the Flyway naming', async function () {
+    const result = await differ.sync({
+      migration: { directory: tmp.root, format: 'flyway', name: 'users' },
+    });
+    expect(path.basename(result.migration)).toMatch(/^V\d{14}__users\.sql$/);
+  });
+
+  it('should write the node-pg-migrate module', async function () {
+    const result = await differ.sync({
+      migration: { directory: tmp.root, format: 'node-pg-migrate' },
+    });
+    expect(path.basename(result.migration)).toMatch(/^\d+_migration\.js$/);
+
+    const pgm = { sql: jest.fn() };
+    require(result.migration).up(pgm);
+    expect(pgm.sql.mock.calls).toEqual([[createQuery]]);
+  });
+
+  it('should write the down migration', async function () {
+    const dropQuery = 'drop table "DifferSchema"."users";';
+
+    let result = await differ.sync({
+      migration: { directory: tmp.root, name: 'users', down: true },
+    });
+    expect(path.basename(result.rollbackMigration)).toMatch(
+      /^\d{14}_users\.down\.sql$/
+    );
+    expect(fs.readFileSync(result.rollbackMigration, 'utf-8')).toEqual(
+      dropQuery + '\n'
+    );
+
+    result = await differ.sync({
+      migration: { directory: tmp.root, format: 'flyway', down: true },
+    });
+    expect(path.basename(result.rollbackMigration)).toMatch(
+      /^U\d{14}__migration\.sql$/
+    );
+
+    result = await differ.sync({
+      migration: { directory: tmp.root, format: 'node-pg-migrate', down: true },
+    });
+    expect(result.rollbackMigration).toEqual(result.migration);
+    const pgm = { sql: jest.fn() };
+    require(result.migration).down(pgm);
+    expect(pgm.sql.mock.calls).toEqual([[dropQuery]]);
+  });
+
+  it('should not write the file without changes', async function () {
+    await differ.sync();
+    expect(await differ.sync({ migration: tmp.root })).toEqual({
+      queries: [],
+      rollbackQueries: [],
+      destructiveQueries: [],
+      migration: null,
+      migrations: [],
+    });
+    expect(fs.readdirSync(tmp.root)).toEqual([]);
+  });
+
+  it('should write the queries executed after the transaction separately', async function () {
+    await differ.sync();
+    differ.define('table', {
+      ...users,
+      columns: { ...users.columns, email: 'text' },
+      indexes: [{ columns: ['email'] }],
+    });
+    const addQuery =
+      'alter table "DifferSchema"."users" add column "email" text null;';
+    const indexQuery =
+      'create index concurrently on "DifferSchema"."users" ( "email" );';
+
+    let result = await differ.sync({
+      concurrently: true,
+      migration: { directory: tmp.root, name: 'users', down: true },
+    });
+    expect(result.migrations.map((file) => path.basename(file))).toEqual([
+      expect.stringMatching(/^\d{14}_users\.sql$/),
+      expect.stringMatching(/^\d{14}_users_after\.sql$/),
+    ]);
+    expect(result.migration).toEqual(result.migrations[0]);
+    expect(fs.readFileSync(result.migration, 'utf-8')).toEqual(addQuery + '\n');
+    expect(fs.readFileSync(result.migrations[1], 'utf-8')).toEqual(
+      `-- executed outside a transaction\n${indexQuery}\n`
+    );
+    expect(
+      fs.readFileSync(
+        result.migrations[1].replace(/\.sql$/, '.down.sql'),
+        'utf-8'
+      )
+    ).toEqual(
+      `-- executed outside a transaction\ndrop index concurrently "DifferSchema"."users_email_idx";\n`
+    );
+
+    result = await differ.sync({
+      concurrently: true,
+      migration: { directory: tmp.root, format: 'flyway' },
+    });
+    expect(path.basename(result.migrations[1])).toMatch(
+      /^V\d{14}__migration_after\.sql$/
+    );
+    expect(fs.readFileSync(`${result.migrations[1]}.conf`, 'utf-8')).toEqual(
+      'executeInTransaction=false\n'
+    );
+    expect(fs.existsSync(`${result.migration}.conf`)).toBe(false);
+
+    result = await differ.sync({
+      concurrently: true,
+      migration: { directory: tmp.root, format: 'node-pg-migrate' },
+    });
+    const pgm = { sql: jest.fn(), noTransaction: jest.fn() };
+    require(result.migrations[1]).up(pgm);
+    expect(pgm.noTransaction).toHaveBeenCalled();
+    expect(pgm.sql.mock.calls).toEqual([[indexQuery]]);
+  });
+
+  it('should validate the migration format', async function () {
+    await expect(
+      differ.sync({ migration: { directory: tmp.root, format: 'liquibase' } })
+    ).rejects.toThrow(
+      `options.migration.format > should be one of ['sql', 'node-pg-migrate', 'flyway']`
+    );
+  });
+});
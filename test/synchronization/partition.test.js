@@ -0,0 +1,176 @@
+'use strict';
+
+const helpers = require('../helpers');
+
+describe('partition', () => {
+  const connection = helpers.getConnection();
+  let differ;
+
+  const events = {
+    name: 'DifferSchema.events',
+    columns: { id: 'int', created_at: 'date', payload: 'text' },
+    primaryKey: { columns: ['id', 'created_at'] },
+    partitionBy: { type: 'RANGE', columns: ['created_at'] },
+  };
+
+  const january = {
+    name: 'events_2024_01',
+    bounds: `from ('2024-01-01') to ('2024-02-01')`,
+  };
+
+  const february = {
+    name: 'DifferSchema.events_2024_02',
+    bounds: `from ('2024-02-01') to ('2024-03-01')`,
+  };
+
+  beforeEach(async () => {
+    differ = helpers.getDiffer();
+    await connection.client.query(
+      `drop table if exists "DifferSchema"."events" cascade;
+       drop table if exists "DifferSchema"."events_2024_01";
+       drop table if exists "DifferSchema"."events_2024_02";
+       drop table if exists "DifferSchema"."events_default";`
+    );
+  });
+
+  it('should create the partitioned table with its partitions', async function () {
+    differ.define('table', {
+      ...events,
+      indexes: [{ columns: ['payload'] }],
+      partitions: [january, { name: 'events_default', default: true }],
+    });
+
+    expect(await differ.sync()).toEqual({
+      queries: [
+        'create table "DifferSchema"."events" ( "id" integer not null, "created_at" date not null, "payload" text null ) partition by range ("created_at");',
+        `create table "DifferSchema"."events_2024_01" partition of "DifferSchema"."events" for values from ('2024-01-01') to ('2024-02-01');`,
+        'create table "DifferSchema"."events_default" partition of "DifferSchema"."events" default;',
+        'create index on "DifferSchema"."events" ( "payload" );',
+        'alter table "DifferSchema"."events" add primary key ( "id", "created_at" );',
+      ],
+      rollbackQueries: ['drop table "DifferSchema"."events";'],
+      destructiveQueries: [],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+
+    const { rows } = await connection.client.query(
+      `select indexname as name from pg_indexes
+       where tablename = 'events_2024_01' order by name`
+    );
+    expect(rows).toEqual([
+      { name: 'events_2024_01_payload_idx' },
+      { name: 'events_2024_01_pkey' },
+    ]);
+  });
+
+  it('should attach, change and detach partitions', async function () {
+    differ.define('table', { ...events, partitions: [january] });
+    await differ.sync();
+    await connection.client.query(
+      `create table "DifferSchema"."events_2024_02" (like "DifferSchema"."events");`
+    );
+
+    differ.define('table', {
+      ...events,
+      partitions: [
+        { ...january, bounds: `from ('2023-12-01') to ('2024-02-01')` },
+        february,
+        { name: 'events_default', default: true },
+      ],
+    });
+    expect(await differ.sync()).toEqual({
+      queries: [
+        'alter table "DifferSchema"."events" detach partition "DifferSchema"."events_2024_01";',
+        `alter table "DifferSchema"."events" attach partition "DifferSchema"."events_2024_01" for values FROM ('2023-12-01') TO ('2024-02-01');`,
+        `alter table "DifferSchema"."events" attach partition "DifferSchema"."events_2024_02" for values FROM ('2024-02-01') TO ('2024-03-01');`,
+        'create table "DifferSchema"."events_default" partition of "DifferSchema"."events" default;',
+      ],
+      rollbackQueries: [
+        'drop table "DifferSchema"."events_default";',
+        'alter table "DifferSchema"."events" detach partition "DifferSchema"."events_2024_02";',
+        'alter table "DifferSchema"."events" detach partition "DifferSchema"."events_2024_01";',
+        `alter table "DifferSchema"."events" attach partition "DifferSchema"."events_2024_01" for values FROM ('2024-01-01') TO ('2024-02-01');`,
+      ],
+      destructiveQueries: [],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+
+    differ.define('table', { ...events, partitions: [february] });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+    expect(
+      await differ.sync({ execute: false, allowClean: { partitions: true } })
+    ).toMatchObject({
+      queries: [
+        'alter table "DifferSchema"."events" detach partition "DifferSchema"."events_2024_01";',
+        'alter table "DifferSchema"."events" detach partition "DifferSchema"."events_default";',
+      ],
+      destructiveQueries: [],
+    });
+    expect(
+      await differ.sync({ allowClean: { partitions: 'drop' } })
+    ).toMatchObject({
+      queries: [
+        'drop table "DifferSchema"."events_2024_01";',
+        'drop table "DifferSchema"."events_default";',
+      ],
+      destructiveQueries: [
+        'drop table "DifferSchema"."events_2024_01";',
+        'drop table "DifferSchema"."events_default";',
+      ],
+    });
+  });
+
+  it('should not change the partitioning of the existing table', async function () {
+    differ.define('table', {
+      ...events,
+      partitionBy: {
+        type: 'LIST',
+        expression: 'extract(year from created_at)',
+      },
+      primaryKey: undefined,
+    });
+    await differ.sync();
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+
+    differ.define('table', events);
+    await expect(differ.sync()).rejects.toThrow(
+      `The partitioning of the existing table 'DifferSchema.events' cannot be changed`
+    );
+  });
+
+  it('should validate partitioning options', function () {
+    expect(() => {
+      differ.define('table', {
+        ...events,
+        primaryKey: { columns: ['id'] },
+      });
+    }).toThrow(
+      'properties.primaryKey > should include the partition key columns'
+    );
+    expect(() => {
+      differ.define('table', {
+        ...events,
+        partitions: [{ ...january, default: true }],
+      });
+    }).toThrow(
+      'properties.partitions[0] > should have either bounds or default'
+    );
+    expect(() => {
+      differ.define('table', {
+        name: 'DifferSchema.events',
+        columns: { id: 'int' },
+        partitions: [january],
+      });
+    }).toThrow(
+      'properties.partitions > not supported by tables without partitionBy'
+    );
+  });
+});
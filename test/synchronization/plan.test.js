@@ -0,0 +1,132 @@
+'use strict';
+
+const helpers = require('../helpers');
+
+describe('plan and apply', () => {
+  const connection = helpers.getConnection();
+  let differ;
+
+  const users = {
+    name: 'DifferSchema.users',
+    columns: { id: 'bigint' },
+  };
+
+  beforeEach(() => {
+    differ = helpers.getDiffer();
+  });
+
+  beforeAll(() => {
+    return connection.client.query(
+      `drop table if exists "DifferSchema"."users" cascade;`
+    );
+  });
+
+  it('should apply the serialized plan', async function () {
+    differ.define('sequence', { name: 'DifferSchema.users_seq' });
+    differ.define('table', { ...users, checks: [{ condition: 'id > 0' }] });
+    await differ.sync({ force: true });
+
+    differ.define('sequence', { name: 'DifferSchema.users_seq', max: 100 });
+    differ.define('table', {
+      ...users,
+      columns: { ...users.columns, age: 'int' },
+      checks: [],
+    });
+
+    const plan = await differ.plan({ allowClean: { checks: true } });
+    expect(plan).toMatchObject({
+      version: 2,
+      objects: {
+        tables: ['DifferSchema.users'],
+        sequences: ['DifferSchema.users_seq'],
+      },
+      queries: [
+        'alter sequence "DifferSchema"."users_seq" maxvalue 100;',
+        'alter table "DifferSchema"."users" drop constraint "users_id_check";',
+        'alter table "DifferSchema"."users" add column "age" integer null;',
+      ],
+      phases: [
+        {
+          process: 'updating sequences',
+          changes: [
+            {
+              object: 'DifferSchema.users_seq',
+              queries: [
+                'alter sequence "DifferSchema"."users_seq" maxvalue 100;',
+              ],
+            },
+          ],
+        },
+        {
+          process: 'cleaning extensions',
+          changes: [
+            {
+              object: 'DifferSchema.users',
+              queries: [
+                'alter table "DifferSchema"."users" drop constraint "users_id_check";',
+              ],
+            },
+          ],
+        },
+        {
+          process: 'updating tables',
+          changes: [
+            {
+              object: 'DifferSchema.users',
+              queries: [
+                'alter table "DifferSchema"."users" add column "age" integer null;',
+              ],
+            },
+          ],
+        },
+      ],
+    });
+    expect(plan.fingerprint.database).toMatch(/^[0-9a-f]{64}$/);
+
+    const serialized = JSON.parse(JSON.stringify(plan));
+    expect(await helpers.getDiffer().apply(serialized)).toEqual({
+      queries: plan.queries,
+      rollbackQueries: plan.rollbackQueries,
+      destructiveQueries: plan.destructiveQueries,
+    });
+    expect(await differ.plan()).toMatchObject({ queries: [] });
+  });
+
+  it('should refuse to apply the plan to a changed database', async function () {
+    differ.define('table', users);
+    await differ.sync({ force: true });
+
+    differ.define('table', {
+      ...users,
+      columns: { ...users.columns, age: 'int' },
+    });
+    const plan = await differ.plan();
+
+    await connection.client.query(
+      'alter table "DifferSchema"."users" add column "name" text;'
+    );
+
+    await expect(differ.apply(plan)).rejects.toThrow(
+      'The database has changed since the plan was created'
+    );
+  });
+
+  it('should refuse to apply an invalid plan', async function () {
+    await expect(differ.apply({ queries: [] })).rejects.toThrow(
+      'Invalid or unsupported migration plan'
+    );
+
+    differ.define('table', users);
+    const plan = await differ.plan();
+    const objects = { ...plan.objects, views: undefined };
+    await expect(differ.apply({ ...plan, objects })).rejects.toThrow(
+      'Invalid or unsupported migration plan'
+    );
+    await expect(differ.apply({ ...plan, version: 1 })).rejects.toThrow(
+      'Invalid or unsupported migration plan'
+    );
+    await expect(
+      differ.apply({ ...plan, phases: [{ process: 'updating tables' }] })
+    ).rejects.toThrow('Invalid or unsupported migration plan');
+  });
+});
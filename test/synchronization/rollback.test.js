@@ -0,0 +1,115 @@
+'use strict';
+
+const helpers = require('../helpers');
+
+describe('rollback queries', () => {
+  const connection = helpers.getConnection();
+  let differ;
+
+  const users = {
+    name: 'DifferSchema.users',
+    columns: {
+      id: 'int',
+      name: { type: 'varchar(64)', default: 'unknown' },
+      age: { type: 'int', nullable: false },
+    },
+  };
+
+  beforeEach(async () => {
+    await connection.client.query(
+      `drop table if exists "DifferSchema"."users" cascade;`
+    );
+    await connection.client.query(
+      `drop sequence if exists "DifferSchema"."users_seq" cascade;`
+    );
+    differ = helpers.getDiffer();
+  });
+
+  const rollback = async (queries) => {
+    for (const query of queries) {
+      await connection.client.query(query);
+    }
+  };
+
+  it('should drop the new objects', async function () {
+    differ.define('sequence', { name: 'DifferSchema.users_seq' });
+    differ.define('table', { ...users, checks: [{ condition: 'id > 0' }] });
+    expect(await differ.sync()).toMatchObject({
+      rollbackQueries: [
+        'drop table "DifferSchema"."users";',
+        'drop sequence if exists "DifferSchema"."users_seq";',
+      ],
+    });
+  });
+
+  it('should revert the column changes', async function () {
+    differ.define('table', users);
+    await differ.sync({ force: true });
+
+    differ.define('table', {
+      ...users,
+      columns: {
+        id: 'bigint',
+        fullName: { type: 'text', formerNames: ['name'], nullable: false },
+        age: 'int',
+        birthday: 'date',
+      },
+    });
+
+    const { queries, rollbackQueries } = await differ.sync();
+    expect(rollbackQueries).toEqual([
+      'alter table "DifferSchema"."users" drop column "birthday";',
+      'alter table "DifferSchema"."users" alter column "age" set not null;',
+      'alter table "DifferSchema"."users" rename column "fullName" to "name";',
+      'alter table "DifferSchema"."users" alter column "name" drop not null;',
+      'alter table "DifferSchema"."users" alter column "name" type character varying(64);',
+      `alter table "DifferSchema"."users" alter column "name" set default 'unknown';`,
+      'alter table "DifferSchema"."users" alter column "id" type integer;',
+    ]);
+
+    await rollback(rollbackQueries);
+    expect(await differ.sync({ execute: false })).toMatchObject({ queries });
+  });
+
+  it('should revert the constraints and indexes', async function () {
+    differ.define('table', { ...users, unique: [{ columns: ['name'] }] });
+    await differ.sync({ force: true });
+
+    differ.define('table', {
+      ...users,
+      indexes: [{ columns: ['age'] }],
+      checks: [{ condition: 'age > 0' }, { condition: 'id > age' }],
+    });
+
+    const { queries, rollbackQueries } = await differ.sync({
+      allowClean: { unique: true },
+    });
+    expect(rollbackQueries).toEqual([
+      'alter table "DifferSchema"."users" drop constraint "users_check";',
+      'alter table "DifferSchema"."users" drop constraint "users_age_check";',
+      'drop index "DifferSchema"."users_age_idx";',
+      'alter table "DifferSchema"."users" add constraint "users_name_key" unique ( "name" );',
+    ]);
+
+    await rollback(rollbackQueries);
+    expect(
+      await differ.sync({ execute: false, allowClean: { unique: true } })
+    ).toMatchObject({ queries });
+  });
+
+  it('should revert the sequence changes', async function () {
+    differ.define('sequence', { name: 'DifferSchema.users_seq', max: 100 });
+    await differ.sync();
+
+    differ.define('sequence', {
+      name: 'DifferSchema.users_seq',
+      max: 200,
+      cycle: true,
+    });
+    expect(await differ.sync()).toMatchObject({
+      rollbackQueries: [
+        'alter sequence "DifferSchema"."users_seq" maxvalue 100 no cycle;',
+      ],
+    });
+  });
+});
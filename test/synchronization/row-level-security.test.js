@@ -0,0 +1,108 @@
+'use strict';
+
+const helpers = require('../helpers');
+
+describe('row-level security', () => {
+  const connection = helpers.getConnection();
+  let differ;
+
+  const table = {
+    name: 'DifferSchema.documents',
+    columns: { id: 'int', tenant_id: 'int', owner: 'text' },
+  };
+
+  const tenantIsolation = {
+    name: 'tenant_isolation',
+    using: `tenant_id=current_setting('app.tenant_id')::int`,
+  };
+
+  beforeEach(async () => {
+    differ = helpers.getDiffer();
+    await connection.client.query(
+      `drop table if exists "DifferSchema"."documents";
+       drop role if exists "DifferReader";
+       create role "DifferReader";`
+    );
+  });
+
+  afterAll(async () => {
+    await connection.client.query(
+      `drop table if exists "DifferSchema"."documents";
+       drop role if exists "DifferReader";`
+    );
+  });
+
+  it('should create policies and enable row-level security', async function () {
+    differ.define('table', {
+      ...table,
+      rowLevelSecurity: { enabled: true, force: true },
+      policies: [
+        tenantIsolation,
+        {
+          name: 'owner_only',
+          command: 'UPDATE',
+          permissive: false,
+          roles: ['DifferReader'],
+          using: 'owner = current_user',
+          withCheck: 'owner = current_user',
+        },
+      ],
+    });
+
+    expect(await differ.sync()).toEqual({
+      queries: [
+        'create table "DifferSchema"."documents" ( "id" integer null, "tenant_id" integer null, "owner" text null );',
+        'alter table "DifferSchema"."documents" enable row level security;',
+        'alter table "DifferSchema"."documents" force row level security;',
+        `create policy "tenant_isolation" on "DifferSchema"."documents" using (tenant_id=current_setting('app.tenant_id')::int);`,
+        'create policy "owner_only" on "DifferSchema"."documents" as restrictive for update to "DifferReader" using (owner = current_user) with check (owner = current_user);',
+      ],
+      rollbackQueries: ['drop table "DifferSchema"."documents";'],
+      destructiveQueries: [],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should replace the changed policy', async function () {
+    differ.define('table', { ...table, policies: [tenantIsolation] });
+    await differ.sync();
+
+    differ.define('table', {
+      ...table,
+      rowLevelSecurity: {},
+      policies: [{ ...tenantIsolation, roles: ['DifferReader'] }],
+    });
+    expect(await differ.sync()).toEqual({
+      queries: [
+        'drop policy "tenant_isolation" on "DifferSchema"."documents";',
+        'alter table "DifferSchema"."documents" enable row level security;',
+        `create policy "tenant_isolation" on "DifferSchema"."documents" to "DifferReader" using ((tenant_id = (current_setting('app.tenant_id'::text))::integer));`,
+      ],
+      rollbackQueries: [
+        'drop policy "tenant_isolation" on "DifferSchema"."documents";',
+        'alter table "DifferSchema"."documents" disable row level security;',
+        `create policy "tenant_isolation" on "DifferSchema"."documents" using ((tenant_id = (current_setting('app.tenant_id'::text))::integer));`,
+      ],
+      destructiveQueries: [],
+    });
+  });
+
+  it('should drop undefined policies', async function () {
+    differ.define('table', { ...table, policies: [tenantIsolation] });
+    await differ.sync();
+
+    differ.define('table', table);
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+    expect(await differ.sync({ allowClean: { policies: true } })).toMatchObject(
+      {
+        queries: [
+          'drop policy "tenant_isolation" on "DifferSchema"."documents";',
+        ],
+      }
+    );
+  });
+});
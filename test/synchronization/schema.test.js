@@ -0,0 +1,136 @@
+'use strict';
+
+const helpers = require('../helpers');
+
+describe('schema', () => {
+  const connection = helpers.getConnection();
+  let differ;
+
+  const getSchemas = () => {
+    return connection.client
+      .query(
+        `select
+           nspname as name,
+           pg_catalog.pg_get_userbyid(nspowner) as owner,
+           pg_catalog.obj_description(oid, 'pg_namespace') as comment
+         from pg_catalog.pg_namespace
+         where nspname like 'DifferExtra%'
+         order by nspname`
+      )
+      .then(({ rows }) => rows);
+  };
+
+  const dropSchemas = () => {
+    return connection.client.query(
+      `drop schema if exists "DifferExtra" cascade;
+       drop schema if exists "DifferExtraRefs" cascade;
+       drop role if exists "DifferOwner";`
+    );
+  };
+
+  beforeEach(async () => {
+    differ = helpers.getDiffer();
+    await dropSchemas();
+  });
+
+  afterAll(dropSchemas);
+
+  it('should create the schema before its objects', async function () {
+    differ.define('sequence', { name: 'DifferExtra.counter' });
+    differ.define('schema', { name: 'DifferExtra', comment: 'Extra objects' });
+
+    expect(await differ.sync()).toEqual({
+      queries: [
+        'create schema if not exists "DifferExtra";',
+        `comment on schema "DifferExtra" is 'Extra objects';`,
+        'create sequence "DifferExtra"."counter";',
+      ],
+      rollbackQueries: [
+        'drop sequence if exists "DifferExtra"."counter";',
+        'drop schema "DifferExtra";',
+      ],
+      destructiveQueries: [],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should update the owner and comment', async function () {
+    differ.define('schema', { name: 'DifferExtra' });
+    await differ.sync();
+    await connection.client.query(`create role "DifferOwner";`);
+
+    differ.define('schema', {
+      name: 'DifferExtra',
+      owner: 'DifferOwner',
+      comment: 'Extra objects',
+    });
+    expect(await differ.sync()).toEqual({
+      queries: [
+        'alter schema "DifferExtra" owner to "DifferOwner";',
+        `comment on schema "DifferExtra" is 'Extra objects';`,
+      ],
+      rollbackQueries: [
+        'comment on schema "DifferExtra" is null;',
+        'alter schema "DifferExtra" owner to "postgres";',
+      ],
+      destructiveQueries: [],
+    });
+    expect(await getSchemas()).toEqual([
+      { name: 'DifferExtra', owner: 'DifferOwner', comment: 'Extra objects' },
+    ]);
+  });
+
+  it('should create the referenced schemas automatically', async function () {
+    differ.define('table', {
+      name: 'DifferExtraRefs.roles',
+      columns: { id: { type: 'int', primary: true } },
+    });
+    differ.define('table', {
+      name: 'DifferExtra.users',
+      columns: { role_id: 'int' },
+      foreignKeys: [
+        {
+          columns: ['role_id'],
+          references: { table: 'DifferExtraRefs.roles', columns: ['id'] },
+        },
+      ],
+    });
+
+    const { queries } = await differ.sync({ createSchemas: true });
+    expect(queries.slice(0, 2)).toEqual([
+      'create schema if not exists "DifferExtraRefs";',
+      'create schema if not exists "DifferExtra";',
+    ]);
+    expect(await getSchemas()).toMatchObject([
+      { name: 'DifferExtra' },
+      { name: 'DifferExtraRefs' },
+    ]);
+    expect(
+      await differ.sync({ createSchemas: true, execute: false })
+    ).toMatchObject({ queries: [] });
+  });
+
+  it('should index and check the table of the created schema', async function () {
+    differ.define('table', {
+      name: 'DifferExtra.users',
+      columns: { id: 'int', email: 'text' },
+      checks: [{ condition: 'id > 0' }],
+      indexes: [{ columns: ['email'] }, { columns: ['lower(email)'] }],
+    });
+
+    expect(await differ.sync({ createSchemas: true })).toMatchObject({
+      queries: [
+        'create schema if not exists "DifferExtra";',
+        'create table "DifferExtra"."users" ( "id" integer null, "email" text null );',
+        'create index on "DifferExtra"."users" ( "email" );',
+        'create index on "DifferExtra"."users" ( lower(email) );',
+        'alter table "DifferExtra"."users" add check ( id > 0 );',
+      ],
+    });
+    expect(
+      await differ.sync({ createSchemas: true, execute: false })
+    ).toMatchObject({ queries: [] });
+  });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const helpers = require('../helpers');
+const utils = require('../../lib/utils');
+
+describe('trigger', () => {
+  const connection = helpers.getConnection();
+  let differ;
+
+  const table = {
+    name: 'DifferSchema.users',
+    columns: { id: 'int', name: 'text', updated_at: 'timestamp' },
+  };
+
+  const touch = {
+    name: 'set_updated_at',
+    timing: 'BEFORE',
+    events: ['UPDATE'],
+    forEach: 'ROW',
+    when: 'old.* is distinct from new.*',
+    function: 'touch',
+  };
+
+  beforeEach(async () => {
+    differ = helpers.getDiffer();
+    await connection.client.query(
+      `drop table if exists "DifferSchema"."users" cascade;`
+    );
+    differ.define('function', {
+      name: 'DifferSchema.touch',
+      returns: 'trigger',
+      language: 'plpgsql',
+      body: 'begin new.updated_at = now(); return new; end',
+    });
+    differ.define('function', {
+      name: 'DifferSchema.audit',
+      returns: 'trigger',
+      language: 'plpgsql',
+      body: 'begin return null; end',
+    });
+  });
+
+  it('should create triggers', async function () {
+    differ.define('table', {
+      ...table,
+      triggers: [
+        touch,
+        {
+          name: 'audit_users',
+          timing: 'AFTER',
+          events: ['DELETE', 'UPDATE', 'INSERT'],
+          columns: ['name'],
+          function: 'DifferSchema.audit',
+        },
+      ],
+    });
+
+    const { queries } = await differ.sync();
+    expect(queries.slice(-2)).toEqual([
+      'create trigger "set_updated_at" before update on "DifferSchema"."users" for each row when (old.* is distinct from new.*) execute procedure "DifferSchema"."touch"();',
+      'create trigger "audit_users" after insert or update of "name" or delete on "DifferSchema"."users" for each statement execute procedure "DifferSchema"."audit"();',
+    ]);
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+
+    await connection.client.query(
+      `insert into "DifferSchema"."users" values (1, 'Joe', null);
+       update "DifferSchema"."users" set name = 'Jane';`
+    );
+    const {
+      rows: [{ updated_at: updatedAt }],
+    } = await connection.client.query(
+      `select updated_at from "DifferSchema"."users"`
+    );
+    expect(updatedAt).not.toBeNull();
+  });
+
+  it('should replace the changed trigger', async function () {
+    differ.define('table', { ...table, triggers: [touch] });
+    await differ.sync();
+
+    differ.define('table', {
+      ...table,
+      triggers: [
+        {
+          ...utils.omit(['when'], touch),
+          events: ['INSERT', 'UPDATE'],
+        },
+      ],
+    });
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        'drop trigger "set_updated_at" on "DifferSchema"."users";',
+        'create trigger "set_updated_at" before insert or update on "DifferSchema"."users" for each row execute procedure "DifferSchema"."touch"();',
+      ],
+      rollbackQueries: [
+        'drop trigger "set_updated_at" on "DifferSchema"."users";',
+        'create trigger "set_updated_at" before update on "DifferSchema"."users" for each row when ((old.* IS DISTINCT FROM new.*)) execute procedure "DifferSchema"."touch"();',
+      ],
+    });
+  });
+
+  it('should drop undefined triggers', async function () {
+    differ.define('table', { ...table, triggers: [touch] });
+    await differ.sync();
+
+    differ.define('table', table);
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+    expect(await differ.sync({ allowClean: { triggers: true } })).toMatchObject(
+      {
+        queries: ['drop trigger "set_updated_at" on "DifferSchema"."users";'],
+      }
+    );
+  });
+});
@@ -0,0 +1,207 @@
+'use strict';
+
+const helpers = require('../helpers');
+
+describe('view', () => {
+  let differ;
+  beforeEach(() => {
+    differ = helpers.getDiffer();
+    differ.define('table', {
+      name: 'DifferSchema.users',
+      columns: { id: 'int', name: 'varchar(64)', age: 'int' },
+    });
+  });
+
+  it('should create views', async function () {
+    differ.define('view', {
+      name: 'DifferSchema.adults',
+      query: 'select id, name from "DifferSchema".users where age >= 18;',
+      checkOption: 'LOCAL',
+      securityBarrier: true,
+    });
+    differ.define('view', {
+      name: 'DifferSchema.ages',
+      query: 'select age, count(*) from "DifferSchema".users group by age',
+      materialized: true,
+      withData: false,
+      indexes: [{ columns: ['age'], unique: true }],
+    });
+
+    expect(await differ.sync({ force: true })).toMatchObject({
+      queries: [
+        'drop table if exists "DifferSchema"."users" cascade;',
+        'create table "DifferSchema"."users" ( "id" integer null, "name" character varying(64) null, "age" integer null );',
+        'create view "DifferSchema"."adults" with (security_barrier) as select id, name from "DifferSchema".users where age >= 18 with local check option;',
+        'create materialized view "DifferSchema"."ages" as select age, count(*) from "DifferSchema".users group by age with no data;',
+        'create unique index on "DifferSchema"."ages" ( "age" );',
+      ],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should replace the view when its query is changed', async function () {
+    differ.define('view', {
+      name: 'DifferSchema.adults',
+      query: 'select id from "DifferSchema".users where age >= 18',
+    });
+    await differ.sync({ force: true });
+
+    differ.define('view', {
+      name: 'DifferSchema.adults',
+      query: 'select id, name from "DifferSchema".users where age >= 21',
+    });
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        'create or replace view "DifferSchema"."adults" as select id, name from "DifferSchema".users where age >= 21;',
+      ],
+      rollbackQueries: [
+        'drop view "DifferSchema"."adults";',
+        'create view "DifferSchema"."adults" as SELECT users.id\n   FROM "DifferSchema".users\n  WHERE (users.age >= 18);',
+      ],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should recreate the view when its columns are changed', async function () {
+    differ.define('view', {
+      name: 'DifferSchema.adults',
+      query: 'select id, name from "DifferSchema".users',
+    });
+    await differ.sync({ force: true });
+
+    differ.define('view', {
+      name: 'DifferSchema.adults',
+      query: 'select name from "DifferSchema".users',
+    });
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        'drop view "DifferSchema"."adults";',
+        'create view "DifferSchema"."adults" as select name from "DifferSchema".users;',
+      ],
+    });
+  });
+
+  it('should recreate the materialized view', async function () {
+    differ.define('view', {
+      name: 'DifferSchema.ages',
+      query: 'select age from "DifferSchema".users',
+      materialized: true,
+    });
+    await differ.sync({ force: true });
+
+    differ.define('view', {
+      name: 'DifferSchema.ages',
+      query: 'select distinct age from "DifferSchema".users',
+      materialized: true,
+      indexes: [{ columns: ['age'] }],
+    });
+    expect(await differ.sync()).toMatchObject({
+      queries: [
+        'drop materialized view "DifferSchema"."ages";',
+        'create materialized view "DifferSchema"."ages" as select distinct age from "DifferSchema".users;',
+        'create index on "DifferSchema"."ages" ( "age" );',
+      ],
+    });
+  });
+
+  it('should refresh the materialized view when withData is changed', async function () {
+    const view = {
+      name: 'DifferSchema.ages',
+      query: 'select age from "DifferSchema".users',
+      materialized: true,
+      withData: false,
+    };
+    differ.define('view', view);
+    await differ.sync({ force: true });
+
+    differ.define('view', { ...view, withData: true });
+    expect(await differ.sync()).toEqual({
+      queries: ['refresh materialized view "DifferSchema"."ages";'],
+      rollbackQueries: [
+        'refresh materialized view "DifferSchema"."ages" with no data;',
+      ],
+      destructiveQueries: [],
+    });
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should sync indexes of the materialized view', async function () {
+    differ.define('view', {
+      name: 'DifferSchema.ages',
+      query: 'select age, name from "DifferSchema".users',
+      materialized: true,
+      indexes: [{ columns: ['age'] }],
+    });
+    await differ.sync({ force: true });
+
+    differ.define('view', {
+      name: 'DifferSchema.ages',
+      query: 'select age, name from "DifferSchema".users',
+      materialized: true,
+      indexes: [{ columns: ['name'], using: 'hash' }],
+    });
+    expect(await differ.sync({ allowClean: { indexes: true } })).toEqual({
+      queries: [
+        'drop index "DifferSchema"."ages_age_idx";',
+        'create index on "DifferSchema"."ages" using hash ( "name" );',
+      ],
+      rollbackQueries: [
+        'drop index "DifferSchema"."ages_name_idx";',
+        'CREATE INDEX ages_age_idx ON "DifferSchema".ages USING btree (age);',
+      ],
+      destructiveQueries: [],
+    });
+  });
+
+  it('should recreate dependent views around column type changes', async function () {
+    differ.define('view', {
+      name: 'DifferSchema.adults',
+      query: 'select id, age from "DifferSchema".users where age >= 18',
+    });
+    differ.define('view', {
+      name: 'DifferSchema.old_adults',
+      query: 'select id from "DifferSchema".adults where age >= 60',
+    });
+    await differ.sync({ force: true });
+
+    differ.define('table', {
+      name: 'DifferSchema.users',
+      columns: { id: 'bigint', name: 'varchar(64)', age: 'int' },
+    });
+    const { queries } = await differ.sync();
+    expect(queries).toEqual([
+      'drop view "DifferSchema"."old_adults";',
+      'drop view "DifferSchema"."adults";',
+      'alter table "DifferSchema"."users" alter column "id" type bigint;',
+      'create view "DifferSchema"."adults" as select id, age from "DifferSchema".users where age >= 18;',
+      'create view "DifferSchema"."old_adults" as select id from "DifferSchema".adults where age >= 60;',
+    ]);
+    expect(await differ.sync({ execute: false })).toMatchObject({
+      queries: [],
+    });
+  });
+
+  it('should validate view options', function () {
+    expect(() => {
+      differ.define('view', {
+        name: 'DifferSchema.adults',
+        query: 'select 1',
+        materialized: true,
+        checkOption: 'LOCAL',
+      });
+    }).toThrow('properties.checkOption > not supported by materialized views');
+    expect(() => {
+      differ.define('view', {
+        name: 'DifferSchema.adults',
+        query: 'select 1',
+        indexes: [{ columns: ['id'] }],
+      });
+    }).toThrow('properties.indexes > not supported by regular views');
+  });
+});
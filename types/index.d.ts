@@ -26,7 +26,16 @@ declare type CleanOptions = {
   indexes?: boolean;
   foreignKeys?: boolean;
   unique?: boolean;
+  exclusions?: boolean;
   checks?: boolean;
+  columns?: boolean;
+  attributes?: boolean;
+  tables?: boolean;
+  sequences?: boolean;
+  triggers?: boolean;
+  policies?: boolean;
+  grants?: boolean;
+  partitions?: boolean | 'detach' | 'drop';
 };
 
 declare type ColumnValueType = string | number | any[] | Object;
@@ -37,6 +46,13 @@ interface ForeignKeyOptions {
   onDelete?: ActionType;
   onUpdate?: ActionType;
   references: ReferenceOptions;
+  deferrable?: boolean;
+  initiallyDeferred?: boolean;
+}
+
+interface GeneratedColumnOptions {
+  expression: string;
+  stored?: boolean;
 }
 
 interface ColumnOptions {
@@ -46,7 +62,34 @@ interface ColumnOptions {
   unique?: boolean;
   default?: ColumnValueType;
   identity?: boolean | IdentityOptions;
+  generated?: GeneratedColumnOptions;
   formerNames?: string[];
+  comment?: string;
+}
+
+declare type Privilege =
+  | 'ALL'
+  | 'SELECT'
+  | 'INSERT'
+  | 'UPDATE'
+  | 'DELETE'
+  | 'TRUNCATE'
+  | 'REFERENCES'
+  | 'TRIGGER';
+
+declare type SequencePrivilege = 'ALL' | 'USAGE' | 'SELECT' | 'UPDATE';
+
+interface ColumnPrivilegeOptions {
+  privilege: 'SELECT' | 'INSERT' | 'UPDATE' | 'REFERENCES';
+  columns: string[];
+}
+
+interface GrantOptions {
+  [role: string]: Array<Privilege | ColumnPrivilegeOptions>;
+}
+
+interface SequenceGrantOptions {
+  [role: string]: SequencePrivilege[];
 }
 
 interface SequenceProperties {
@@ -56,6 +99,89 @@ interface SequenceProperties {
   max?: string | number;
   increment?: string | number;
   cycle?: boolean;
+  grants?: SequenceGrantOptions;
+}
+
+interface ViewIndexOptions {
+  columns: string[];
+  using?: 'btree' | 'hash' | 'gist' | 'gin';
+  unique?: boolean;
+}
+
+interface ViewProperties {
+  name: string;
+  query: string;
+  materialized?: boolean;
+  withData?: boolean;
+  checkOption?: 'LOCAL' | 'CASCADED';
+  securityBarrier?: boolean;
+  indexes?: ViewIndexOptions[];
+  grants?: GrantOptions;
+}
+
+interface EnumValueOptions {
+  name: string;
+  formerNames?: string[];
+}
+
+interface EnumProperties {
+  name: string;
+  values: Array<string | EnumValueOptions>;
+}
+
+interface DomainProperties {
+  name: string;
+  type: string;
+  default?: ColumnValueType;
+  nullable?: boolean;
+  checks?: CheckOptions[];
+}
+
+interface CompositeAttributeOptions {
+  type: string;
+  formerNames?: string[];
+}
+
+interface CompositeProperties {
+  name: string;
+  attributes: {
+    [name: string]: string | CompositeAttributeOptions;
+  };
+}
+
+interface FunctionArgumentOptions {
+  name?: string;
+  type: string;
+  mode?: 'IN' | 'OUT' | 'INOUT' | 'VARIADIC';
+  default?: ColumnValueType;
+}
+
+interface FunctionProperties {
+  name: string;
+  procedure?: boolean;
+  arguments?: Array<string | FunctionArgumentOptions>;
+  returns?: string;
+  language?: string;
+  volatility?: 'VOLATILE' | 'STABLE' | 'IMMUTABLE';
+  securityDefiner?: boolean;
+  body?: string;
+  /**
+   * the relative path is resolved against the directory of the imported schema file,
+   * or against the current working directory when it is passed to `define()`
+   */
+  bodyPath?: string;
+}
+
+interface ExtensionProperties {
+  name: string;
+  schema?: string;
+  version?: string;
+}
+
+interface SchemaProperties {
+  name: string;
+  owner?: string;
+  comment?: string;
 }
 
 interface IdentityOptions {
@@ -68,30 +194,114 @@ interface IdentityOptions {
 }
 
 interface CheckOptions {
+  name?: string;
   condition: string;
 }
 
+interface IndexElementOptions {
+  column?: string;
+  expression?: string;
+  order?: 'ASC' | 'DESC';
+  nulls?: 'FIRST' | 'LAST';
+  opclass?: string;
+  collate?: string;
+}
+
 interface IndexOptions {
-  columns: string[];
+  name?: string;
+  columns: Array<string | IndexElementOptions>;
   using: 'btree' | 'hash' | 'gist' | 'gin';
+  unique?: boolean;
+  include?: string[];
+  where?: string;
+}
+
+interface ExclusionElementOptions extends IndexElementOptions {
+  operator: string;
+}
+
+interface ExclusionOptions {
+  name?: string;
+  elements: Array<string | ExclusionElementOptions>;
+  using?: 'btree' | 'hash' | 'gist' | 'spgist';
+  where?: string;
+  deferrable?: boolean;
+  initiallyDeferred?: boolean;
 }
 
 interface PrimaryKeyOptions {
   columns: string[];
+  deferrable?: boolean;
+  initiallyDeferred?: boolean;
 }
 
 interface UniqueOptions {
   columns: string[];
+  deferrable?: boolean;
+  initiallyDeferred?: boolean;
+}
+
+interface TriggerOptions {
+  name: string;
+  timing: 'BEFORE' | 'AFTER';
+  events: Array<'INSERT' | 'UPDATE' | 'DELETE' | 'TRUNCATE'>;
+  forEach?: 'ROW' | 'STATEMENT';
+  when?: string;
+  function: string;
+  columns?: string[];
+}
+
+interface PolicyOptions {
+  name: string;
+  command?: 'ALL' | 'SELECT' | 'INSERT' | 'UPDATE' | 'DELETE';
+  permissive?: boolean;
+  roles?: string[];
+  using?: string;
+  withCheck?: string;
+}
+
+interface RowLevelSecurityOptions {
+  enabled?: boolean;
+  force?: boolean;
+}
+
+interface PartitionByOptions {
+  type: 'RANGE' | 'LIST' | 'HASH';
+  columns?: string[];
+  expression?: string;
+}
+
+interface PartitionOptions {
+  name: string;
+  bounds?: string;
+  default?: boolean;
 }
 
 interface TableProperties {
   name: string;
+  comment?: string;
   columns: { [name: string]: ColumnOptions };
   primaryKey?: PrimaryKeyOptions;
   unique?: UniqueOptions[];
+  exclusions?: ExclusionOptions[];
   indexes?: IndexOptions[];
   foreignKeys?: ForeignKeyOptions[];
   checks?: CheckOptions[];
+  triggers?: TriggerOptions[];
+  policies?: PolicyOptions[];
+  partitionBy?: PartitionByOptions;
+  partitions?: PartitionOptions[];
+  rowLevelSecurity?: RowLevelSecurityOptions;
+  grants?: GrantOptions;
+}
+
+declare type MigrationFormat = 'sql' | 'node-pg-migrate' | 'flyway';
+
+interface MigrationOptions {
+  directory: string;
+  format?: MigrationFormat;
+  name?: string;
+  down?: boolean;
 }
 
 interface SyncOptions {
@@ -100,11 +310,35 @@ interface SyncOptions {
   execute?: boolean;
   allowClean?: CleanOptions;
   adjustIdentitySequences?: boolean;
+  migration?: string | MigrationOptions;
+  managedSchemas?: string[];
+  protectedObjects?: string[];
+  createSchemas?: boolean;
+  concurrently?: boolean;
+  notValid?: boolean;
 }
 
-declare type ObjectType = 'table' | 'sequence';
+declare type ObjectType =
+  | 'table'
+  | 'sequence'
+  | 'view'
+  | 'enum'
+  | 'domain'
+  | 'composite'
+  | 'function'
+  | 'extension'
+  | 'schema';
 
-declare type AnyOfSchemas = TableProperties | SequenceProperties;
+declare type AnyOfSchemas =
+  | TableProperties
+  | SequenceProperties
+  | ViewProperties
+  | EnumProperties
+  | DomainProperties
+  | CompositeProperties
+  | FunctionProperties
+  | ExtensionProperties
+  | SchemaProperties;
 
 declare class DatabaseObject {
   type: ObjectType;
@@ -116,6 +350,50 @@ declare class DatabaseObject {
 
 interface SyncResult {
   queries: string[];
+  rollbackQueries: string[];
+  destructiveQueries: string[];
+  unvalidatedConstraints?: { table: string; name: string }[];
+  migration?: string | null;
+  rollbackMigration?: string | null;
+  migrations?: string[];
+}
+
+interface PlanChange {
+  object: string; // 'SchemaName.object_name'
+  queries: string[];
+}
+
+interface PlanPhase {
+  process: string;
+  changes: PlanChange[];
+}
+
+interface Plan {
+  version: number;
+  createdAt: string;
+  fingerprint: {
+    database: string;
+  };
+  objects: {
+    tables: string[];
+    sequences: string[];
+    views: string[];
+    enums: string[];
+    domains: string[];
+    composites: string[];
+    functions: string[];
+    extensions: string[];
+    schemas: string[];
+    managedSchemas?: string[];
+  };
+  queries: string[];
+  rollbackQueries: string[];
+  destructiveQueries: string[];
+  phases: PlanPhase[];
+}
+
+interface ApplyOptions {
+  transaction?: boolean;
 }
 
 interface ImportOptions {
@@ -172,6 +450,20 @@ declare class Differ {
    */
   sync(options?: SyncOptions): Promise<SyncResult>;
 
+  /**
+   * @example
+   * const plan = await differ.plan();
+   * fs.writeFileSync('plan.json', JSON.stringify(plan));
+   */
+  plan(options?: SyncOptions): Promise<Plan>;
+
+  /**
+   * @example
+   * const plan = JSON.parse(fs.readFileSync('plan.json', 'utf-8'));
+   * await differ.apply(plan);
+   */
+  apply(plan: Plan, options?: ApplyOptions): Promise<SyncResult>;
+
   /**
    * @example
    * differ.setDefaultSchema('DifferSchema');